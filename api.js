@@ -6,6 +6,14 @@
 const API = {
   baseURL: window.location.origin,
 
+  // Display preferences, sent with every request so the server formats
+  // distances, times and text to match. App replaces this with the saved prefs.
+  display: { units: 'imperial', clock: '12h', locale: 'en-US' },
+
+  isMetric() {
+    return this.display.units === 'metric';
+  },
+
   /**
    * Generic fetch wrapper with error handling
    */
@@ -15,6 +23,9 @@ const API = {
         ...options,
         headers: {
           'Content-Type': 'application/json',
+          'Accept-Language': this.display.locale,
+          'X-Units': this.display.units,
+          'X-Clock-Format': this.display.clock,
           ...options.headers,
         },
       });
@@ -33,16 +44,19 @@ const API = {
   /**
    * Weather API
    */
-  async getWeather(lat, lon) {
+  async getWeather(lat, lon, commuteTimes = {}) {
+    const [current, commute] = await Promise.all([
+      this.getCurrentWeather(lat, lon),
+      this.getCommuteForecast(lat, lon, commuteTimes),
+    ]);
+    return { ...current, commute };
+  },
+
+  async getCurrentWeather(lat, lon) {
     try {
       const data = await this.fetch(`/api/weather?lat=${lat}&lon=${lon}`);
       return {
-        temp: Math.round(data.main.temp),
-        feelsLike: Math.round(data.main.feels_like),
-        description: data.weather[0].description,
-        icon: data.weather[0].icon,
-        humidity: data.main.humidity,
-        windSpeed: Math.round(data.wind.speed),
+        ...this.normalizeWeather(data),
         _isFallback: false,
       };
     } catch (error) {
@@ -51,69 +65,160 @@ const API = {
     }
   },
 
+  /**
+   * Forecast slot closest to each commute time, e.g.
+   * { morning: Date|ms, evening: Date|ms } -> { morning: slot, evening: slot }.
+   * A time outside the forecast (more than one 3-hour step away) gets null.
+   */
+  async getCommuteForecast(lat, lon, commuteTimes) {
+    const periods = Object.keys(commuteTimes).filter(period => commuteTimes[period]);
+    const forecast = Object.fromEntries(Object.keys(commuteTimes).map(period => [period, null]));
+    if (periods.length === 0) {
+      return forecast;
+    }
+
+    try {
+      const data = await this.fetch(`/api/weather/forecast?lat=${lat}&lon=${lon}`);
+      const slots = (data.list || []).map(entry => this.normalizeWeather(entry));
+      const stepMs = 3 * 60 * 60 * 1000;
+
+      for (const period of periods) {
+        const time = new Date(commuteTimes[period]).getTime();
+        const closest = slots.reduce((best, slot) =>
+          !best || Math.abs(slot.time - time) < Math.abs(best.time - time) ? slot : best, null);
+        forecast[period] = closest && Math.abs(closest.time - time) <= stepMs
+          ? { ...closest, commuteTime: time }
+          : null;
+      }
+      return forecast;
+    } catch (error) {
+      console.error('❌ Weather forecast failed:', error);
+      return forecast;
+    }
+  },
+
+  /**
+   * Current conditions and forecast list entries share one shape; forecast
+   * entries add a precipitation chance. Rain and snow are mm per hour
+   * (current reports the last hour, forecasts a 3-hour total). Temperature
+   * and wind follow the display units (°F and mph, or °C and km/h).
+   */
+  normalizeWeather(data) {
+    const perHour = amounts => amounts?.['1h'] ?? (amounts?.['3h'] !== undefined ? amounts['3h'] / 3 : 0);
+
+    return {
+      time: data.dt * 1000,
+      conditionId: data.weather[0].id,
+      temp: Math.round(data.main.temp),
+      feelsLike: Math.round(data.main.feels_like),
+      description: data.weather[0].description,
+      icon: data.weather[0].icon,
+      humidity: data.main.humidity,
+      windSpeed: Math.round(this.isMetric() ? data.wind.speed * 3.6 : data.wind.speed), // metric wind comes in m/s
+      visibility: data.visibility ?? null, // meters, 10000 max
+      precipChance: data.pop !== undefined ? Math.round(data.pop * 100) : null,
+      rain: perHour(data.rain),
+      snow: perHour(data.snow),
+    };
+  },
+
+  /**
+   * National Weather Service alerts covering any of the points
+   * ([{ lat, lng }]); onset/ends become ms timestamps (null if open-ended)
+   */
+  async getWeatherAlerts(points) {
+    try {
+      const query = points.map(point => `${point.lat},${point.lng}`).join('|');
+      const data = await this.fetch(`/api/weather/alerts?points=${encodeURIComponent(query)}`);
+      return {
+        alerts: (data.alerts || []).map(alert => ({
+          ...alert,
+          onset: alert.onset ? Date.parse(alert.onset) : null,
+          ends: alert.ends ? Date.parse(alert.ends) : null,
+        })),
+        _isFallback: false,
+      };
+    } catch (error) {
+      console.error('Weather alerts API failed');
+      return {
+        alerts: [],
+        _isFallback: true,
+      };
+    }
+  },
+
   getFallbackWeather() {
+    const metric = this.isMetric();
     return {
-      temp: 50,
-      feelsLike: 48,
+      temp: metric ? 10 : 50,
+      feelsLike: metric ? 9 : 48,
       description: 'Unavailable',
       icon: '01d',
       humidity: 50,
-      windSpeed: 5,
+      windSpeed: metric ? 8 : 5,
       _isFallback: true,
     };
   },
 
   /**
-   * Drive Time API
+   * Drive Time API - the recommended route plus up to two alternatives
+   * avoid: { highways, tolls } route modifiers
+   * departureTime: optional future Date; omitted means leave now
+   * travelMode: 'DRIVE' or 'WALK'; traffic, toll and road options apply to DRIVE only
    */
-  async getDriveTimes(origin, destination, avoidHighways = false) {
+  async getDriveTimes(origin, destination, avoid = {}, departureTime = null, travelMode = 'DRIVE', commutePeriod = null) {
     try {
+      const isDrive = travelMode === 'DRIVE';
       const body = {
-        origin: {
-          location: {
-            latLng: {
-              latitude: origin.lat,
-              longitude: origin.lng,
-            },
-          },
-        },
-        destination: {
-          location: {
-            latLng: {
-              latitude: destination.lat,
-              longitude: destination.lng,
-            },
-          },
-        },
-        travelMode: 'DRIVE',
-        routingPreference: 'TRAFFIC_AWARE',
-        computeAlternativeRoutes: false,
-        routeModifiers: {
-          avoidTolls: false,
-          avoidHighways: avoidHighways,
-          avoidFerries: true,
-        },
-        languageCode: 'en-US',
-        units: 'IMPERIAL',
+        origin: this.toWaypoint(origin),
+        destination: this.toWaypoint(destination),
+        travelMode,
+        computeAlternativeRoutes: isDrive,
+        languageCode: this.display.locale,
+        units: this.isMetric() ? 'METRIC' : 'IMPERIAL',
       };
 
+      if (isDrive) {
+        body.routingPreference = 'TRAFFIC_AWARE';
+        body.routeModifiers = {
+          avoidTolls: !!avoid.tolls,
+          avoidHighways: !!avoid.highways,
+          avoidFerries: true,
+        };
+        body.extraComputations = ['TRAFFIC_ON_POLYLINE', 'TOLLS'];
+      }
+
+      if (departureTime) {
+        body.departureTime = departureTime.toISOString();
+      }
+
       const data = await this.fetch('/api/routes', {
         method: 'POST',
         headers: {
-          'X-Goog-FieldMask': 'routes.duration,routes.distanceMeters,routes.staticDuration,routes.description',
+          // Tagged results are recorded in the server's drive history
+          ...(commutePeriod ? { 'X-Commute-Period': commutePeriod } : {}),
+          'X-Goog-FieldMask': [
+            'routes.duration',
+            'routes.distanceMeters',
+            'routes.staticDuration',
+            'routes.description',
+            // Used by the server's congestion analysis
+            'routes.travelAdvisory.speedReadingIntervals',
+            'routes.polyline.encodedPolyline',
+            'routes.legs.steps.distanceMeters',
+            'routes.legs.steps.navigationInstruction',
+            'routes.travelAdvisory.tollInfo',
+          ].join(','),
         },
         body: JSON.stringify(body),
       });
 
       if (data.routes && data.routes[0]) {
-        const route = data.routes[0];
-        const duration = parseInt(route.duration);
-        const minutes = Math.round(duration / 60);
+        const routes = data.routes.slice(0, 3).map(route => this.normalizeDriveRoute(route));
 
         return {
-          minutes,
-          distance: Math.round(route.distanceMeters * 0.000621371), // meters to miles
-          description: route.description || '',
+          ...routes[0],
+          routes,
           _isFallback: false,
         };
       } else {
@@ -121,29 +226,360 @@ const API = {
       }
     } catch (error) {
       console.error('Drive time API failed, using fallback');
-      return this.getFallbackDriveTime();
+      return this.getFallbackDriveTime(travelMode);
+    }
+  },
+
+  /**
+   * Normalize a Routes API route. delayMinutes is the time lost to
+   * traffic: live duration minus the no-traffic staticDuration.
+   */
+  normalizeDriveRoute(route) {
+    const duration = parseInt(route.duration);
+    const staticDuration = route.staticDuration ? parseInt(route.staticDuration) : duration;
+    const distance = route.distance?.value ?? 0; // km or miles, converted by the server
+
+    return {
+      minutes: Math.round(duration / 60),
+      staticMinutes: Math.round(staticDuration / 60),
+      delayMinutes: Math.max(0, Math.round((duration - staticDuration) / 60)),
+      distance: distance < 2 ? Math.round(distance * 10) / 10 : Math.round(distance), // tenths for short walks
+      description: route.description || '',
+      traffic: route.traffic || null, // { level, delayMinutes, summary, ... } from the server
+      tolls: this.normalizeTollInfo(route.travelAdvisory?.tollInfo),
+    };
+  },
+
+  /**
+   * Toll estimate from travelAdvisory.tollInfo, or null on a toll-free route.
+   * price is null when the route has tolls Google can't price.
+   */
+  normalizeTollInfo(tollInfo) {
+    if (!tollInfo) return null;
+
+    const estimate = (tollInfo.estimatedPrice || [])[0];
+    return {
+      price: estimate ? Number(estimate.units || 0) + (estimate.nanos || 0) / 1e9 : null,
+      currency: estimate ? estimate.currencyCode : null,
+    };
+  },
+
+  /**
+   * Weather correction for a drive estimate. Traffic-aware durations only
+   * react once congestion builds, so the conditions expected for the trip
+   * widen the estimate upward into a likely range.
+   * Returns { minMinutes, maxMinutes, factors: [{ icon, label, percent }] }
+   * (percent is the worst-case slowdown), or null when nothing applies.
+   */
+  getWeatherAdjustment(minutes, weather) {
+    if (!weather || weather._isFallback || !minutes) {
+      return null;
+    }
+
+    const factors = [];
+    const precipitation = this.getPrecipitation(weather);
+    if (precipitation) {
+      factors.push(precipitation);
+    }
+
+    // Wet roads at or below freezing ice over
+    const metric = this.isMetric();
+    const isWet = precipitation && ['rain', 'drizzle', 'storm'].includes(precipitation.type);
+    if (weather.temp <= (metric ? 0 : 32) && isWet) {
+      factors.push({ icon: '🧊', label: `Icy roads (${weather.temp}°${metric ? 'C' : 'F'})`, percent: this.weatherSlowdowns.ice });
+    }
+
+    const visibility = this.weatherSlowdowns.visibility.find(({ below }) => weather.visibility !== null && weather.visibility < below);
+    if (visibility) {
+      const distance = weather.visibility / (metric ? 1000 : 1609.344);
+      const label = `${distance < 1 ? distance.toFixed(1) : Math.round(distance)} ${metric ? 'km' : 'mi'}`;
+      factors.push({ icon: '🌫️', label: `Visibility ${label}`, percent: visibility.percent });
+    }
+
+    const wind = this.weatherSlowdowns.wind;
+    if (weather.windSpeed >= (metric ? wind.minSpeedKmh : wind.minSpeed)) {
+      factors.push({ icon: '💨', label: `Wind ${weather.windSpeed} ${metric ? 'km/h' : 'mph'}`, percent: wind.percent });
+    }
+
+    if (factors.length === 0) {
+      return null;
+    }
+
+    // The live estimate may already reflect some of this, so it stays the
+    // low end; slowdowns add up to the high end, within a cap
+    const percent = Math.min(this.weatherSlowdowns.maxPercent, factors.reduce((sum, factor) => sum + factor.percent, 0));
+
+    return {
+      minMinutes: minutes,
+      maxMinutes: Math.round(minutes * (1 + percent / 100)),
+      factors,
+    };
+  },
+
+  /**
+   * Precipitation type and intensity from the OpenWeather condition code,
+   * bumped up when the measured rate is heavier than the code says
+   */
+  getPrecipitation(weather) {
+    const id = weather.conditionId;
+    const rateIntensity = (rate, [moderate, heavy]) => (rate >= heavy ? 2 : rate >= moderate ? 1 : 0);
+    let type;
+    let intensity = 0;
+
+    if (id >= 200 && id < 300) {
+      type = 'storm';
+      intensity = [202, 212, 221, 232].includes(id) ? 1 : 0;
+    } else if (id >= 300 && id < 400) {
+      type = 'drizzle';
+    } else if (id === 511 || (id >= 611 && id <= 613)) {
+      type = 'freezing';
+    } else if (id >= 500 && id < 600) {
+      type = 'rain';
+      intensity = Math.max({ 500: 0, 501: 1, 520: 0, 521: 1 }[id] ?? 2, rateIntensity(weather.rain, [2.5, 7.6]));
+    } else if (id >= 600 && id < 700) {
+      type = 'snow';
+      intensity = Math.max({ 600: 0, 601: 1, 615: 0, 616: 1, 620: 0, 621: 1 }[id] ?? 2, rateIntensity(weather.snow, [1, 2.5]));
+    } else {
+      return null;
+    }
+
+    const { icon, labels, slowdowns } = this.weatherSlowdowns[type];
+    return { icon, label: labels[intensity], type, percent: slowdowns[intensity] };
+  },
+
+  // Worst-case percent slowdowns by condition; precipitation entries go
+  // lightest to heaviest. Rough figures in line with FHWA road-weather
+  // speed reductions.
+  weatherSlowdowns: {
+    rain: {
+      icon: '🌧️',
+      labels: ['Light rain', 'Rain', 'Heavy rain'],
+      slowdowns: [10, 20, 35],
+    },
+    drizzle: {
+      icon: '🌦️',
+      labels: ['Drizzle'],
+      slowdowns: [8],
+    },
+    storm: {
+      icon: '⛈️',
+      labels: ['Thunderstorms', 'Heavy thunderstorms'],
+      slowdowns: [20, 35],
+    },
+    snow: {
+      icon: '❄️',
+      labels: ['Light snow', 'Snow', 'Heavy snow'],
+      slowdowns: [30, 50, 80],
+    },
+    freezing: {
+      icon: '🧊',
+      labels: ['Freezing rain or sleet'],
+      slowdowns: [70],
+    },
+    ice: 35,
+    visibility: [
+      { below: 500, percent: 40 },
+      { below: 2000, percent: 20 },
+      { below: 5000, percent: 10 },
+    ],
+    wind: { minSpeed: 30, minSpeedKmh: 48, percent: 10 },
+    maxPercent: 150,
+  },
+
+  /**
+   * Routes API waypoint for a { lat, lng } location
+   */
+  toWaypoint(point) {
+    return {
+      location: {
+        latLng: {
+          latitude: point.lat,
+          longitude: point.lng,
+        },
+      },
+    };
+  },
+
+  /**
+   * Traffic-aware drive minutes only - no alternatives, tolls, traffic
+   * detail or geometry - for forecast samples. Null on failure.
+   */
+  async getDriveDuration(origin, destination, avoid = {}, departureTime = null) {
+    try {
+      const body = {
+        origin: this.toWaypoint(origin),
+        destination: this.toWaypoint(destination),
+        travelMode: 'DRIVE',
+        routingPreference: 'TRAFFIC_AWARE',
+        routeModifiers: {
+          avoidTolls: !!avoid.tolls,
+          avoidHighways: !!avoid.highways,
+          avoidFerries: true,
+        },
+      };
+
+      if (departureTime) {
+        body.departureTime = departureTime.toISOString();
+      }
+
+      const data = await this.fetch('/api/routes', {
+        method: 'POST',
+        headers: { 'X-Goog-FieldMask': 'routes.duration' },
+        body: JSON.stringify(body),
+      });
+
+      const duration = data.routes?.[0]?.duration;
+      if (!duration) {
+        throw new Error('No routes found');
+      }
+      return Math.round(parseInt(duration) / 60);
+    } catch (error) {
+      console.error('Drive duration API failed');
+      return null;
     }
   },
 
-  getFallbackDriveTime() {
+  /**
+   * Drive Time Forecast - predicted duration for each departure time.
+   * Slots that fail are dropped; best is the fastest (earliest on ties).
+   */
+  async getDriveForecast(origin, destination, avoid, departureTimes) {
+    const results = await Promise.all(departureTimes.map(time =>
+      this.getDriveDuration(origin, destination, avoid, time > Date.now() + 60 * 1000 ? time : null)
+    ));
+
+    const samples = results
+      .map((minutes, i) => ({ departureTime: departureTimes[i].getTime(), minutes }))
+      .filter(sample => sample.minutes !== null);
+
+    const best = samples.reduce((fastest, sample) =>
+      !fastest || sample.minutes < fastest.minutes ? sample : fastest, null);
+
+    return {
+      samples,
+      best,
+      _isFallback: samples.length === 0,
+    };
+  },
+
+  /**
+   * Typical drive time from recorded history for a commute period, at the
+   * weekday and time of `when` (±30 min, in the agency timezone) with the
+   * same avoid options. Null when nothing is recorded.
+   */
+  async getTypicalDriveTime(period, origin, destination, when = new Date(), avoid = {}) {
+    try {
+      const query = new URLSearchParams({
+        period,
+        at: when.getTime(),
+        from: `${origin.lat},${origin.lng}`,
+        to: `${destination.lat},${destination.lng}`,
+        avoidHighways: !!avoid.highways,
+        avoidTolls: !!avoid.tolls,
+      });
+      const data = await this.fetch(`/api/drive-history/percentiles?${query}`);
+      if (!data.percentiles) {
+        return null;
+      }
+
+      return {
+        minutes: data.percentiles.p50,
+        percentiles: data.percentiles,
+        sampleCount: data.sampleCount,
+        weekday: data.weekday,
+        time: when.getTime(),
+      };
+    } catch (error) {
+      console.error('❌ Drive history lookup failed:', error);
+      return null;
+    }
+  },
+
+  getFallbackDriveTime(travelMode = 'DRIVE') {
+    // Rough estimates: a cross-metro drive or a few downtown blocks on foot
+    if (travelMode === 'WALK') {
+      return {
+        minutes: 10,
+        distance: this.isMetric() ? 0.8 : 0.5,
+        description: 'Estimated',
+        routes: [],
+        _isFallback: true,
+      };
+    }
+
     return {
       minutes: 30,
-      distance: 15,
+      distance: this.isMetric() ? 24 : 15,
       description: 'Estimated',
+      routes: [],
       _isFallback: true,
     };
   },
 
+  /**
+   * Address autocomplete suggestions, optionally biased toward near { lat, lng }
+   */
+  async getPlaceSuggestions(input, near = null) {
+    try {
+      const params = new URLSearchParams({ input });
+      if (near && near.lat && near.lng) {
+        params.set('lat', near.lat);
+        params.set('lng', near.lng);
+      }
+      const data = await this.fetch(`/api/places/autocomplete?${params}`);
+      return data.suggestions || [];
+    } catch (error) {
+      console.error('❌ Address autocomplete failed:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Geocode an address or autocomplete placeId to { lat, lng, address }
+   */
+  async geocode({ address, placeId }) {
+    try {
+      const query = placeId ? `placeId=${encodeURIComponent(placeId)}` : `address=${encodeURIComponent(address)}`;
+      const data = await this.fetch(`/api/geocode?${query}`);
+      const result = data.results && data.results[0];
+      if (!result) return null;
+
+      return {
+        lat: result.geometry.location.lat,
+        lng: result.geometry.location.lng,
+        address: result.formatted_address,
+      };
+    } catch (error) {
+      console.error('❌ Geocoding failed:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Reverse geocode coordinates to a formatted address
+   */
+  async reverseGeocode(lat, lng) {
+    try {
+      const data = await this.fetch(`/api/geocode/reverse?lat=${lat}&lng=${lng}`);
+      return data.results && data.results[0] ? data.results[0].formatted_address : null;
+    } catch (error) {
+      console.error('❌ Reverse geocoding failed:', error);
+      return null;
+    }
+  },
+
   /**
    * RTD Transit API - Vehicle Positions
    */
-  async getVehiclePositions() {
+  async getVehiclePositions(routeIds = []) {
     try {
-      const data = await this.fetch('/api/rtd/vehicle-positions');
+      const query = routeIds.length > 0 ? `?routes=${encodeURIComponent(routeIds.join(','))}` : '';
+      const data = await this.fetch(`/api/rtd/vehicle-positions${query}`);
       return {
         vehicles: data.vehicles || [],
         timestamp: data.timestamp,
         feedAgeSeconds: data.feedAgeSeconds,
+        routeSummary: data.routeSummary || {},
         _isFallback: false,
       };
     } catch (error) {
@@ -152,6 +588,32 @@ const API = {
         vehicles: [],
         timestamp: Date.now(),
         feedAgeSeconds: 0,
+        routeSummary: {},
+        _isFallback: true,
+      };
+    }
+  },
+
+  /**
+   * RTD Transit API - Service Alerts for routes and stops
+   */
+  async getAlerts(routeIds = [], stopIds = []) {
+    try {
+      const params = new URLSearchParams();
+      if (routeIds.length > 0) params.set('routes', routeIds.join(','));
+      if (stopIds.length > 0) params.set('stops', stopIds.join(','));
+
+      const data = await this.fetch(`/api/rtd/alerts?${params}`);
+      return {
+        alerts: data.alerts || [],
+        timestamp: data.timestamp,
+        _isFallback: false,
+      };
+    } catch (error) {
+      console.error('Service alerts API failed');
+      return {
+        alerts: [],
+        timestamp: Date.now(),
         _isFallback: true,
       };
     }
@@ -162,14 +624,8 @@ const API = {
    */
   async getStationArrivals(stopId, routeId) {
     try {
-      let endpoint = '';
-
-      // Route to correct API based on line
-      if (routeId === '117N') {
-        endpoint = `/api/rtd/arrivals/${stopId}`;
-      } else {
-        endpoint = `/api/rtd/gline/${stopId}`;
-      }
+      // Server picks the realtime feed, or a secondary source if it's down
+      const endpoint = `/api/rtd/arrivals/${stopId}?routes=${encodeURIComponent(routeId)}`;
 
       console.log(`🚆 Fetching arrivals: ${endpoint} for route ${routeId}`);
       const data = await this.fetch(endpoint);
@@ -184,26 +640,7 @@ const API = {
           }
           return matches;
         })
-        .map(arrival => {
-          // Preserve both arrival and departure times from GTFS
-          const arrivalTime = arrival.arrivalTime || arrival.departureTime;
-          const departureTime = arrival.departureTime || arrival.arrivalTime;
-          const now = Date.now() / 1000;
-
-          return {
-            time: arrivalTime, // Primary time for sorting/display
-            timeFormatted: arrival.arrivalTimeFormatted || arrival.departureTimeFormatted,
-            routeId: arrival.routeId,
-            directionId: arrival.directionId,
-            tripId: arrival.tripId,
-            minutesAway: Math.round((arrivalTime - now) / 60),
-            // GTFS-specific fields
-            arrivalTime: arrival.arrivalTime,
-            departureTime: arrival.departureTime,
-            isDeparture: arrival.isDeparture || false,
-            status: arrival.status || 'Scheduled',
-          };
-        })
+        .map(arrival => this.normalizeArrival(arrival))
         .sort((a, b) => a.time - b.time);
 
       console.log(`✅ Processed ${arrivals.length} arrivals for ${routeId} at ${stopId}`);
@@ -213,6 +650,7 @@ const API = {
         stopName: data.stopName || stopId,
         arrivals,
         timestamp: data.timestamp,
+        sources: data.sources || [],
         _isFallback: false,
       };
     } catch (error) {
@@ -228,21 +666,109 @@ const API = {
   },
 
   /**
-   * Get all arrivals for a line with direction grouping
+   * Normalize a server arrival - preserve GTFS arrival/departure data
    */
-  async getLineArrivals(stopId, routeId) {
-    const data = await this.getStationArrivals(stopId, routeId);
+  normalizeArrival(arrival) {
+    // Preserve both arrival and departure times from GTFS
+    const arrivalTime = arrival.arrivalTime || arrival.departureTime;
+    const now = Date.now() / 1000;
 
-    // Group by direction
-    const northbound = data.arrivals.filter(a => a.directionId === 0);
-    const southbound = data.arrivals.filter(a => a.directionId === 1);
+    return {
+      time: arrivalTime, // Primary time for sorting/display
+      timeFormatted: arrival.arrivalTimeFormatted || arrival.departureTimeFormatted,
+      routeId: arrival.routeId,
+      directionId: arrival.directionId,
+      tripId: arrival.tripId,
+      minutesAway: Math.round((arrivalTime - now) / 60),
+      // GTFS-specific fields
+      arrivalTime: arrival.arrivalTime,
+      departureTime: arrival.departureTime,
+      isDeparture: arrival.isDeparture || false,
+      status: arrival.status || 'Scheduled',
+      delayMinutes: arrival.delayMinutes ?? null,
+      tripScheduleRelationship: arrival.tripScheduleRelationship || 'SCHEDULED',
+      stopScheduleRelationship: arrival.stopScheduleRelationship || 'SCHEDULED',
+      headsign: arrival.headsign || null,
+      // 'scheduled' arrivals come from the static timetable, not realtime
+      isScheduled: arrival.prediction === 'scheduled',
+    };
+  },
 
+  /**
+   * Normalize one stop result from the batch endpoint or live stream
+   */
+  normalizeBatchResult(result, timestamp, limit = 3) {
     return {
-      ...data,
-      northbound: northbound.slice(0, 3), // Limit to next 3 trains
-      southbound: southbound.slice(0, 3),
+      stopId: result.stopId,
+      routeId: result.routeId,
+      northbound: result.northbound.map(arrival => this.normalizeArrival(arrival)).slice(0, limit),
+      southbound: result.southbound.map(arrival => this.normalizeArrival(arrival)).slice(0, limit),
+      timestamp,
+      source: result.source,
+      _isFallback: !!result.error,
     };
   },
+
+  /**
+   * RTD Transit API - Batch arrivals for many stops in one request
+   * stops: [{ stopId, routeId, platforms?, directions? }]
+   * until: optional ms timestamp; timetable departures up to then are
+   * included as well (pair with limit = Infinity to keep them all)
+   */
+  async getBatchArrivals(stops, limit = 3, until = null) {
+    try {
+      const data = await this.fetch('/api/rtd/arrivals', {
+        method: 'POST',
+        body: JSON.stringify({ stops, ...(until && { until }) }),
+      });
+
+      return (data.results || []).map(result => this.normalizeBatchResult(result, data.timestamp, limit));
+    } catch (error) {
+      console.error('❌ Batch arrivals API failed:', error);
+      return stops.map(({ stopId, routeId }) => ({
+        stopId,
+        routeId,
+        northbound: [],
+        southbound: [],
+        timestamp: Date.now(),
+        _isFallback: true,
+      }));
+    }
+  },
+
+  /**
+   * RTD Transit API - Live stream of arrival and vehicle deltas (Server-Sent Events)
+   * handlers: { onOpen, onError, onArrivals, onVehicles }
+   * Returns the EventSource so the caller can close it.
+   */
+  openTransitStream(stops, routeIds, handlers) {
+    // EventSource can't set headers, so display prefs go in the query
+    const params = new URLSearchParams({
+      stops: JSON.stringify(stops),
+      routes: routeIds.join(','),
+      units: this.display.units,
+      clock: this.display.clock,
+      locale: this.display.locale,
+    });
+    const source = new EventSource(`${this.baseURL}/api/rtd/stream?${params}`);
+
+    source.onopen = () => handlers.onOpen && handlers.onOpen();
+    source.onerror = () => handlers.onError && handlers.onError();
+
+    source.addEventListener('arrivals', event => {
+      const data = JSON.parse(event.data);
+      handlers.onArrivals && handlers.onArrivals({
+        reset: data.reset,
+        results: data.results.map(result => this.normalizeBatchResult(result, data.feedTimestamp)),
+      });
+    });
+
+    source.addEventListener('vehicles', event => {
+      handlers.onVehicles && handlers.onVehicles(JSON.parse(event.data));
+    });
+
+    return source;
+  },
 };
 
 // Export for use in other modules
@@ -7,24 +7,62 @@ const App = {
   // Application State
   state: {
     theme: 'dark',
-    activeTab: 'drive',
-    selectedLine: '117N',
-    selectedStation: {
-      '117N': '35254',  // 112th / Northglenn
-      '113G': '34781',  // Union Station
-      '113B': '34782',  // Union Station
+    // Units, clock and locale for every rendered value; shared with API
+    display: {
+      units: 'imperial',
+      clock: '12h',
+      locale: 'en-US',
     },
+    activeTab: 'drive',
+    selectedLine: null, // Set from the route registry in init()
+    selectedStation: {},
     weather: null,
+    // Current conditions per place: [{ key, keys, labels, lat, lng, weather }]
+    locationWeather: [],
+    // NWS alerts at alertLocations, most severe first; places lists labels
+    weatherAlerts: [],
     driveTime: {
       morning: null,
       evening: null,
     },
+    driveForecast: {
+      morning: null,
+      evening: null,
+    },
+    // Median from drive history at this weekday and time: { minutes, sampleCount, ... }
+    driveTypical: {
+      morning: null,
+      evening: null,
+    },
+    // Door-to-door commute: { legs, totalMinutes, _isFallback }
+    commute: {
+      morning: null,
+      evening: null,
+    },
+    // Park-and-ride legs around the train: { toStation, toWork }
+    parkAndRide: null,
+    // Every train today at the park-and-ride stations through the evening
+    // window, timetable included (transitData keeps only the next few)
+    leaveByTrains: {},
     transitData: {},
     vehiclePositions: {
       vehicles: [],
       timestamp: null,
-      routeSummary: { '117N': 0, '113G': 0, '113B': 0 }
+      routeSummary: {}
+    },
+    selectedVehicleId: null,
+    // Settings panel: draft edits, per-location geocode checks and the
+    // latest autocomplete suggestions for each location
+    settings: {
+      open: false,
+      draft: null,
+      checks: {},
+      suggestions: {},
+      error: null,
+      saving: false,
     },
+    alerts: [],
+    dismissedAlerts: [],
     loading: {
       initial: true,
       weather: false,
@@ -33,64 +71,180 @@ const App = {
     },
     lastRefresh: new Date(),
     avoidHighways: false,
+    avoidTolls: false,
+    streaming: false,
   },
 
+  // Active timers and live stream connection
+  timers: {},
+  transitStream: null,
+  streamRetryDelay: 0,
+
   // Configuration
   config: {
     locations: {
       home: {
+        label: 'Home',
         address: '11625 Community Center Drive, Northglenn, CO',
         lat: null,
         lng: null
       },
       garage: {
+        label: 'Garage',
         address: '1801 California Street, Denver, CO 80202',
         lat: null,
         lng: null
       },
       work: {
+        label: 'Office',
         address: '707 17th Street, Denver, CO 80202',
         lat: null,
         lng: null
       },
     },
-    // Your preferred station for each line
-    myStations: {
-      '117N': '35254',  // 112th / Northglenn (primary stop ID)
-      '113G': '34781',  // Union Station
-      '113B': '34782',  // Union Station
-    },
-    // N Line directional platforms - used for fetching combined data
-    nLinePlatforms: {
-      '35365': { platforms: ['35365'], directions: ['southbound'] },  // Eastlake - northern terminus (only departs SB)
-      '35254': { platforms: ['35254', '35255'], directions: ['northbound', 'southbound'] },  // 112th - mid-line (both directions)
-      '35246': { platforms: ['35246', '35247'], directions: ['northbound', 'southbound'] },  // 48th - mid-line (both directions)
-      '34668': { platforms: ['34668'], directions: ['northbound'] },  // Union - southern terminus (only departs NB)
-    },
-    stations: {
-      '117N': [
-        { id: '35365', name: 'Eastlake & 124th' },
-        { id: '35254', name: '112th / Northglenn' },
-        { id: '35246', name: '48th & Brighton' },
-        { id: '34668', name: 'Union Station' },
-      ],
-      '113G': [
-        { id: '34510', name: 'Ward Station / Wheat Ridge' },
-        { id: '34541', name: 'Olde Town Arvada' },
-        { id: '34525', name: 'Gold Strike' },
-        { id: '34544', name: 'Pecos Junction' },
-        { id: '34781', name: 'Union Station' },
-      ],
-      '113B': [
-        { id: '34560', name: 'Westminster' },
-        { id: '34544', name: 'Pecos Junction' },
-        { id: '34782', name: 'Union Station' },
-      ],
+    // Route registry - one entry per tracked rail line or bus route, in tab order.
+    // Tabs, colors, station lists, the line diagram, arrivals, alerts and
+    // vehicle tracking are all built from this list. Station fields:
+    //   platforms  - directional stop IDs merged into the station (default: [id])
+    //   directions - which directions depart from it (default: both)
+    //   shortName/pos - label and position (0-100%) on the line diagram; omit pos to leave it off
+    //   lat/lng    - approximate platform location, used to place live vehicles on the diagram
+    // To track a bus, add e.g.
+    //   { id: '120X', label: '120X', type: 'bus', color: '#f59e0b', myStation: '<stop id>',
+    //     directionLabels: { northbound: 'Outbound', southbound: 'Inbound' },
+    //     stations: [{ id: '<stop id>', name: '<stop name>' }] }
+    routes: [
+      {
+        id: '117N',
+        label: 'N Line',
+        type: 'rail',
+        color: '#FF6B6B',
+        myStation: '35254', // 112th / Northglenn
+        stations: [
+          // Eastlake - northern terminus (only departs SB)
+          { id: '35365', name: 'Eastlake & 124th', shortName: '124th', pos: 97, lat: 39.9221, lng: -104.9585, platforms: ['35365'], directions: ['southbound'] },
+          // 112th - mid-line (both directions)
+          { id: '35254', name: '112th / Northglenn', shortName: '112th', pos: 70, lat: 39.9014, lng: -104.9588, platforms: ['35254', '35255'] },
+          // 48th - mid-line (both directions)
+          { id: '35246', name: '48th & Brighton', shortName: '48th', pos: 25, lat: 39.7833, lng: -104.9702, platforms: ['35246', '35247'] },
+          // Union - southern terminus (only departs NB)
+          { id: '34668', name: 'Union Station', shortName: 'Union', pos: 3, lat: 39.7536, lng: -105.0023, platforms: ['34668'], directions: ['northbound'] },
+        ],
+      },
+      {
+        id: '113G',
+        label: 'G Line',
+        type: 'rail',
+        color: '#4ECDC4',
+        myStation: '34781', // Union Station
+        stations: [
+          { id: '34510', name: 'Ward Station / Wheat Ridge', shortName: 'Ward', pos: 95, lat: 39.7851, lng: -105.1349 },
+          { id: '34541', name: 'Olde Town Arvada', shortName: 'Olde Town', pos: 70, lat: 39.7994, lng: -105.082 },
+          { id: '34525', name: 'Gold Strike', lat: 39.7993, lng: -105.0567 },
+          { id: '34544', name: 'Pecos Junction', shortName: 'Pecos', pos: 35, lat: 39.8066, lng: -105.0042 },
+          { id: '34781', name: 'Union Station', shortName: 'Union', pos: 5, lat: 39.7536, lng: -105.0023 },
+        ],
+      },
+      {
+        id: '113B',
+        label: 'B Line',
+        type: 'rail',
+        color: '#95E1D3',
+        myStation: '34782', // Union Station
+        stations: [
+          { id: '34560', name: 'Westminster', shortName: 'Westminster', pos: 95, lat: 39.8266, lng: -105.0276 },
+          { id: '34544', name: 'Pecos Junction', shortName: 'Pecos', pos: 50, lat: 39.8066, lng: -105.0042 },
+          { id: '34782', name: 'Union Station', shortName: 'Union', pos: 5, lat: 39.7536, lng: -105.0023 },
+        ],
+      },
+    ],
+    // Direction labels used unless a route sets its own directionLabels
+    directionLabels: {
+      northbound: 'Northbound',
+      southbound: 'Southbound',
     },
     refreshIntervals: {
       weather: 5 * 60 * 1000, // 5 minutes
       drive: 5 * 60 * 1000, // 5 minutes
+      forecast: 15 * 60 * 1000, // 15 minutes (one Routes request per slot)
       transit: 30 * 1000, // 30 seconds
+      alerts: 2 * 60 * 1000, // 2 minutes
+      vehicles: 10 * 1000, // 10 seconds (polling fallback only)
+      countdown: 30 * 1000, // 30 seconds (recompute "min away" while streaming)
+    },
+    // Morning commute legs in order; the evening commute runs them in reverse
+    commuteLegs: [
+      { mode: 'DRIVE', from: 'home', to: 'garage' },
+      { mode: 'WALK', from: 'garage', to: 'work' },
+    ],
+    // Park-and-ride alternative to driving downtown: drive to the board
+    // station, ride to the alight station, then walk to work
+    parkAndRide: {
+      lineId: '117N',
+      board: '35254', // 112th / Northglenn
+      alight: '34668', // Union Station
+      direction: 'southbound',
+      returnDirection: 'northbound', // evening train from the alight station
+      transferMinutes: 4, // park and reach the platform
+      rideMinutes: 22, // 112th -> Union Station
+      departures: 3, // upcoming departures to compare
+      eveningWindowMinutes: 180, // trains after leaveWorkAt considered for leave-by
+    },
+    // Departure-time forecast: one sample every stepMinutes across the window.
+    // startAt is a local 'HH:MM' for the next window, or null to start now.
+    driveForecast: {
+      windowMinutes: 120,
+      stepMinutes: 15,
+      startAt: {
+        morning: null,
+        evening: null,
+      },
+    },
+    // Work schedule: days are 0 (Sun) - 6 (Sat), times are local 'HH:MM'.
+    // Holidays ('YYYY-MM-DD') are treated like weekends. The buffer is how
+    // early to arrive at work, or to reach the platform in the evening.
+    schedule: {
+      workDays: [1, 2, 3, 4, 5],
+      arriveBy: '08:30',
+      leaveWorkAt: '17:00',
+      bufferMinutes: 10,
+      holidays: [],
+      // Extra buffer while a weather alert at least this severe is in
+      // effect at commute time ('off' disables)
+      alertSeverity: 'Severe',
+      alertBufferMinutes: 15,
+    },
+    // NWS alert severities, least to most severe
+    alertSeverities: ['Unknown', 'Minor', 'Moderate', 'Severe', 'Extreme'],
+    // Weather alerts are checked at these locations
+    alertLocations: ['home', 'work'],
+    // After leaving work, the evening commute stays in focus this long
+    eveningFocusMinutes: 180,
+    // Weather places closer than this rounding (2 decimals ~ 1 km) share a
+    // request; a temperature spread this wide is called out on the strip
+    weatherPrecision: 2,
+    weatherDifference: {
+      tempSpread: 10, // °F
+      tempSpreadMetric: 6, // °C
+    },
+    // "Typical" comparisons need at least this many recorded drives
+    driveHistory: {
+      minSamples: 5,
+    },
+    // Refresh intervals editable in settings, shown in the given unit
+    intervalSettings: [
+      { key: 'weather', label: 'Weather', unit: 'min', min: 1 },
+      { key: 'drive', label: 'Drive times', unit: 'min', min: 1 },
+      { key: 'forecast', label: 'Departure forecast', unit: 'min', min: 5 },
+      { key: 'alerts', label: 'Service alerts', unit: 'min', min: 1 },
+      { key: 'transit', label: 'Arrivals (polling)', unit: 'sec', min: 10 },
+      { key: 'vehicles', label: 'Vehicles (polling)', unit: 'sec', min: 5 },
+      { key: 'countdown', label: 'Countdown', unit: 'sec', min: 10 },
+    ],
+    // Live stream reconnect backoff
+    streamRetry: {
+      initial: 5 * 1000, // 5 seconds
+      max: 60 * 1000, // 1 minute
     },
   },
 
@@ -100,11 +254,15 @@ const App = {
   async init() {
     console.log('🚀 Initializing Commute Dashboard 2.0');
 
+    // Defaults derived from the route registry
+    this.initRouteState();
+
     // Load saved preferences
     this.loadPreferences();
 
-    // Set initial theme
+    // Set initial theme and display preferences
     this.updateTheme();
+    this.updateDisplay();
 
     // Set up event listeners
     this.setupEventListeners();
@@ -122,6 +280,188 @@ const App = {
     console.log('✅ App initialized successfully');
   },
 
+  /**
+   * Seed per-route state from the route registry
+   */
+  initRouteState() {
+    this.state.selectedLine = this.config.routes[0]?.id || null;
+    for (const route of this.config.routes) {
+      this.state.selectedStation[route.id] = route.myStation;
+      this.state.vehiclePositions.routeSummary[route.id] = 0;
+    }
+  },
+
+  /**
+   * Route registry lookups
+   */
+  getRouteIds() {
+    return this.config.routes.map(route => route.id);
+  },
+
+  getRoute(routeId) {
+    return this.config.routes.find(route => route.id === routeId);
+  },
+
+  getStations(routeId) {
+    return this.getRoute(routeId)?.stations || [];
+  },
+
+  getMyStationId(routeId) {
+    // The saved choice wins if the station is still on the line
+    const selected = this.state.selectedStation[routeId];
+    return this.getStations(routeId).some(station => station.id === selected)
+      ? selected
+      : this.getRoute(routeId)?.myStation;
+  },
+
+  /**
+   * Stations drawn on the line diagram (those with a pos), in track order
+   */
+  getTrackStations(routeId) {
+    return this.getStations(routeId)
+      .filter(station => station.pos !== undefined)
+      .map(station => ({
+        id: station.id,
+        name: station.shortName || station.name,
+        pos: station.pos,
+        lat: station.lat,
+        lng: station.lng,
+        stopIds: this.getStationStopIds(station),
+      }))
+      .sort((a, b) => a.pos - b.pos);
+  },
+
+  /**
+   * Place a vehicle on the line diagram.
+   * With GPS, snaps to the nearest segment between two diagram stations and
+   * interpolates its pos; otherwise falls back to the stop it reports.
+   * Returns { pos, heading, from, to } where heading is 1 toward higher pos,
+   * -1 toward lower pos, 0 unknown - or null if it can't be placed.
+   */
+  projectVehicle(lineId, vehicle) {
+    const stations = this.getTrackStations(lineId);
+    const maxSnapDistance = 0.02; // ~2 km; farther away means off the line (e.g. in the yard)
+
+    if (vehicle.latitude && vehicle.longitude) {
+      // Local flat projection (degrees, longitude scaled by latitude)
+      const scale = Math.cos(vehicle.latitude * Math.PI / 180);
+      const toXY = (lat, lng) => ({ x: lng * scale, y: lat });
+      const p = toXY(vehicle.latitude, vehicle.longitude);
+
+      let best = null;
+      for (let i = 0; i < stations.length - 1; i++) {
+        const from = stations[i];
+        const to = stations[i + 1];
+        if (!from.lat || !to.lat) continue;
+
+        const a = toXY(from.lat, from.lng);
+        const b = toXY(to.lat, to.lng);
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy || 1e-12;
+        const t = Math.min(1, Math.max(0, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+        const distance = Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+
+        if (!best || distance < best.distance) {
+          best = { from, to, t, dx, dy, distance };
+        }
+      }
+
+      if (best && best.distance <= maxSnapDistance) {
+        let heading = 0;
+        if (vehicle.bearing !== null && vehicle.bearing !== undefined) {
+          // Bearing is clockwise from north: x = east, y = north
+          const radians = vehicle.bearing * Math.PI / 180;
+          heading = Math.sin(radians) * best.dx + Math.cos(radians) * best.dy >= 0 ? 1 : -1;
+        }
+
+        return {
+          pos: best.from.pos + best.t * (best.to.pos - best.from.pos),
+          heading,
+          from: best.from.name,
+          to: best.to.name,
+        };
+      }
+    }
+
+    // No usable GPS - place at the reported stop if it's on the diagram
+    const station = stations.find(s => s.stopIds.includes(vehicle.currentStopId));
+    if (!station) return null;
+
+    return { pos: station.pos, heading: 0, from: station.name, to: station.name };
+  },
+
+  /**
+   * Render live vehicle markers on a line diagram
+   */
+  renderTrainMarkers(lineId, vehicles) {
+    const color = this.getRoute(lineId)?.color;
+
+    return vehicles.map(vehicle => {
+      const placement = this.projectVehicle(lineId, vehicle);
+      if (!placement) return '';
+
+      const stopped = vehicle.currentStatusName === 'STOPPED_AT';
+      const selected = this.state.selectedVehicleId === vehicle.id;
+      const arrow = placement.heading > 0 ? '▶' : placement.heading < 0 ? '◀' : '●';
+
+      return `
+        <button class="track-train ${stopped ? 'stopped' : 'in-transit'} ${selected ? 'selected' : ''}"
+                style="left: ${placement.pos}%; --line-color: ${color}"
+                title="${this.escapeHtml(vehicle.label)}"
+                data-vehicle-id="${this.escapeHtml(vehicle.id)}"
+                onclick="appSelectVehicle(this.dataset.vehicleId)">
+          ${arrow}
+        </button>
+      `;
+    }).join('');
+  },
+
+  /**
+   * Render details for the clicked vehicle marker
+   */
+  renderVehicleDetail(lineId, vehicles) {
+    const vehicle = vehicles.find(v => v.id === this.state.selectedVehicleId);
+    if (!vehicle) return '';
+
+    const placement = this.projectVehicle(lineId, vehicle);
+    const stopped = vehicle.currentStatusName === 'STOPPED_AT';
+    const ageSeconds = vehicle.timestamp ? Math.max(0, Math.floor(Date.now() / 1000 - vehicle.timestamp)) : null;
+    const speed = vehicle.speed !== null && vehicle.speed !== undefined
+      ? Math.round(vehicle.speed * (API.isMetric() ? 3.6 : 2.23694)) // m/s to km/h or mph
+      : null;
+
+    let location = '';
+    if (placement) {
+      location = stopped || placement.from === placement.to
+        ? `${stopped ? 'Stopped at' : 'Near'} ${placement.from}`
+        : `In transit between ${placement.from} and ${placement.to}`;
+    }
+
+    return `
+      <div class="vehicle-detail">
+        <div class="vehicle-detail-title">
+          ${this.getRouteIcon(lineId)} ${this.escapeHtml(vehicle.label)}
+          <span class="status-badge ${stopped ? 'on-time' : 'scheduled'}">${stopped ? 'Stopped' : 'In transit'}</span>
+        </div>
+        <div class="vehicle-detail-info">
+          ${location ? `<span>📍 ${location}</span>` : ''}
+          <span>💨 ${speed !== null ? this.formatSpeed(speed) : 'Speed unknown'}</span>
+          <span>🕒 ${ageSeconds !== null ? `Position ${ageSeconds}s old` : 'Position age unknown'}</span>
+        </div>
+      </div>
+    `;
+  },
+
+  getRouteIcon(routeId) {
+    return this.getRoute(routeId)?.type === 'bus' ? '🚌' : '🚆';
+  },
+
+  getDirectionLabel(routeId, direction) {
+    const labels = this.getRoute(routeId)?.directionLabels || this.config.directionLabels;
+    return labels[direction];
+  },
+
   /**
    * Load saved preferences from localStorage
    */
@@ -132,7 +472,27 @@ const App = {
         const prefs = JSON.parse(saved);
         this.state.theme = prefs.theme || 'dark';
         this.state.avoidHighways = prefs.avoidHighways || false;
-        this.state.selectedStation = prefs.selectedStation || this.state.selectedStation;
+        this.state.avoidTolls = prefs.avoidTolls || false;
+        this.state.selectedStation = { ...this.state.selectedStation, ...prefs.selectedStation };
+        this.state.dismissedAlerts = prefs.dismissedAlerts || [];
+        Object.assign(this.state.display, prefs.display);
+
+        // Locations and refresh intervals edited in settings
+        for (const [key, location] of Object.entries(prefs.locations || {})) {
+          if (this.config.locations[key] && location.address) {
+            Object.assign(this.config.locations[key], {
+              address: location.address,
+              lat: location.lat ?? null,
+              lng: location.lng ?? null,
+            });
+          }
+        }
+        for (const [key, interval] of Object.entries(prefs.refreshIntervals || {})) {
+          if (key in this.config.refreshIntervals && interval > 0) {
+            this.config.refreshIntervals[key] = interval;
+          }
+        }
+        Object.assign(this.config.schedule, prefs.schedule);
       } catch (e) {
         console.error('Failed to load preferences:', e);
       }
@@ -146,7 +506,15 @@ const App = {
     const prefs = {
       theme: this.state.theme,
       avoidHighways: this.state.avoidHighways,
+      avoidTolls: this.state.avoidTolls,
       selectedStation: this.state.selectedStation,
+      dismissedAlerts: this.state.dismissedAlerts,
+      display: this.state.display,
+      locations: Object.fromEntries(Object.entries(this.config.locations).map(([key, { address, lat, lng }]) =>
+        [key, { address, lat, lng }]
+      )),
+      refreshIntervals: this.config.refreshIntervals,
+      schedule: this.config.schedule,
     };
     localStorage.setItem('commutePreferences', JSON.stringify(prefs));
   },
@@ -162,9 +530,10 @@ const App = {
     // Load all data in parallel
     await Promise.all([
       this.fetchWeather(),
-      this.fetchDriveTimes(),
+      this.fetchDriveTimes().then(() => this.fetchDriveForecasts()),
       this.fetchTransitData(),
       this.fetchVehiclePositions(),
+      this.fetchAlerts(),
     ]);
 
     this.state.loading.weather = false;
@@ -177,291 +546,1216 @@ const App = {
    * Geocode an address to get coordinates
    */
   async geocodeAddress(address) {
-    try {
-      const response = await fetch(`/api/geocode?address=${encodeURIComponent(address)}`);
-      const data = await response.json();
-      if (data.results && data.results[0]) {
-        const location = data.results[0].geometry.location;
-        return { lat: location.lat, lng: location.lng };
+    return API.geocode({ address });
+  },
+
+  /**
+   * Geocode any configured location that has no coordinates yet
+   */
+  async geocodeLocations() {
+    for (const location of Object.values(this.config.locations)) {
+      if (!location.lat || !location.lng) {
+        const coords = await this.geocodeAddress(location.address);
+        if (coords) {
+          location.lat = coords.lat;
+          location.lng = coords.lng;
+        }
       }
-      return null;
-    } catch (error) {
-      console.error('Geocoding failed:', error);
-      return null;
     }
   },
 
   /**
-   * Fetch weather data
+   * Fetch weather data: home conditions with commute forecasts, plus
+   * current conditions at every other location and my stations
    */
   async fetchWeather() {
-    let home = this.config.locations.home;
-
-    // Geocode if we don't have coordinates yet
-    if (!home.lat || !home.lng) {
-      const coords = await this.geocodeAddress(home.address);
-      if (coords) {
-        home.lat = coords.lat;
-        home.lng = coords.lng;
-      }
-    }
+    await this.geocodeLocations();
+    const alertsRequest = this.fetchWeatherAlerts();
+    const home = this.config.locations.home;
+    const places = this.getWeatherPlaces();
+
+    // Places that round to the same point share one request
+    const homePlace = places.find(place => place.keys.includes('home'));
+    const [weather, ...others] = await Promise.all([
+      API.getWeather(home.lat, home.lng, {
+        morning: this.getNextCommuteTime('morning'),
+        evening: this.getNextCommuteTime('evening'),
+      }),
+      ...places
+        .filter(place => place !== homePlace)
+        .map(place => API.getCurrentWeather(place.lat, place.lng)),
+    ]);
 
-    this.state.weather = await API.getWeather(home.lat, home.lng);
+    this.state.weather = weather;
+    this.state.locationWeather = places.map(place => ({
+      ...place,
+      weather: place === homePlace ? weather : others.shift(),
+    }));
+    await alertsRequest;
   },
 
   /**
-   * Fetch drive times (home -> work via garage)
+   * Fetch government weather alerts for the alert locations
    */
-  async fetchDriveTimes() {
-    const { home, garage, work } = this.config.locations;
+  async fetchWeatherAlerts() {
+    const locations = this.config.alertLocations
+      .map(key => this.config.locations[key])
+      .filter(location => location && location.lat && location.lng);
+    if (locations.length === 0) return;
+
+    const data = await API.getWeatherAlerts(locations);
+    if (data._isFallback) return;
+
+    this.state.weatherAlerts = data.alerts.map(alert => ({
+      ...alert,
+      places: alert.points.map(index => locations[index].label),
+    }));
+  },
 
-    // Geocode addresses if needed
-    for (const location of [home, garage, work]) {
-      if (!location.lat || !location.lng) {
-        const coords = await this.geocodeAddress(location.address);
-        if (coords) {
-          location.lat = coords.lat;
-          location.lng = coords.lng;
-        }
-      }
+  /**
+   * Extra buffer from the alert rule at a given time: the most severe
+   * qualifying alert in effect then, or null
+   */
+  getAlertBuffer(time) {
+    const { alertSeverity, alertBufferMinutes } = this.config.schedule;
+    const severities = this.config.alertSeverities;
+    const minimum = severities.indexOf(alertSeverity);
+    if (minimum < 0 || !(alertBufferMinutes > 0)) {
+      return null;
     }
 
-    // Morning commute (home -> garage for parking)
-    this.state.driveTime.morning = await API.getDriveTimes(
-      home,
-      garage,
-      this.state.avoidHighways
-    );
-
-    // Evening commute (garage -> home)
-    this.state.driveTime.evening = await API.getDriveTimes(
-      garage,
-      home,
-      this.state.avoidHighways
+    const alert = this.state.weatherAlerts.find(alert =>
+      severities.indexOf(alert.severity) >= minimum &&
+      (!alert.onset || alert.onset <= time) &&
+      (!alert.ends || alert.ends >= time)
     );
+    return alert ? { minutes: alertBufferMinutes, alert } : null;
   },
 
   /**
-   * Fetch transit data for ALL stations on all lines
+   * Configured locations and my stations, grouped by coordinates rounded
+   * to weatherPrecision decimals: [{ key, keys, labels, lat, lng }]
    */
-  async fetchTransitData() {
-    const lines = ['117N', '113G', '113B'];
+  getWeatherPlaces() {
+    const points = [
+      ...Object.entries(this.config.locations).map(([key, location]) =>
+        ({ key, label: location.label || key, lat: location.lat, lng: location.lng })
+      ),
+      ...this.getRouteIds().map((routeId) => {
+        const station = this.getStations(routeId).find(station => station.id === this.getMyStationId(routeId));
+        return station && { key: `station:${routeId}`, label: station.shortName || station.name, lat: station.lat, lng: station.lng };
+      }),
+    ].filter(point => point && point.lat && point.lng);
+
+    const places = new Map();
+    for (const point of points) {
+      const precision = this.config.weatherPrecision;
+      const key = `${point.lat.toFixed(precision)},${point.lng.toFixed(precision)}`;
+      const place = places.get(key) || { key, keys: [], labels: [], lat: point.lat, lng: point.lng };
+      place.keys.push(point.key);
+      if (!place.labels.includes(point.label)) {
+        place.labels.push(point.label);
+      }
+      places.set(key, place);
+    }
+    return [...places.values()];
+  },
 
-    console.log('🚆 Fetching transit data for all lines and stations...');
+  /**
+   * Notable differences between locations: a wide temperature spread,
+   * or precipitation at some places and not others
+   */
+  getWeatherDifferences() {
+    const places = (this.state.locationWeather || []).filter(place => place.weather && !place.weather._isFallback);
+    if (places.length < 2) {
+      return [];
+    }
 
-    for (const lineId of lines) {
-      const stations = this.config.stations[lineId] || [];
-      const lineData = {};
+    const differences = [];
+    const name = place => place.labels.join(' / ');
+    const byTemp = [...places].sort((a, b) => a.weather.temp - b.weather.temp);
+    const coldest = byTemp[0];
+    const warmest = byTemp[byTemp.length - 1];
+    const { tempSpread, tempSpreadMetric } = this.config.weatherDifference;
+    if (warmest.weather.temp - coldest.weather.temp >= (API.isMetric() ? tempSpreadMetric : tempSpread)) {
+      differences.push(`${this.formatTemp(warmest.weather.temp - coldest.weather.temp)} colder at ${name(coldest)} than ${name(warmest)}`);
+    }
 
-      // Fetch data for each station on this line
-      for (const station of stations) {
-        let data;
+    // OpenWeather icon codes: 09/10 rain, 11 thunderstorm, 13 snow
+    const precipitation = { '09': 'Rain', '10': 'Rain', '11': 'Storms', '13': 'Snow' };
+    const kinds = places.map(place => precipitation[place.weather.icon.slice(0, 2)] || null);
+    const dry = places.filter((place, i) => !kinds[i]);
+    if (dry.length > 0 && dry.length < places.length) {
+      for (const kind of new Set(kinds.filter(Boolean))) {
+        const wet = places.filter((place, i) => kinds[i] === kind);
+        differences.push(`${kind} at ${wet.map(name).join(', ')} but dry at ${dry.map(name).join(', ')}`);
+      }
+    }
 
-        // Special handling for N Line - fetch from platforms and filter directions
-        if (lineId === '117N' && this.config.nLinePlatforms[station.id]) {
-          const config = this.config.nLinePlatforms[station.id];
-          const platformIds = config.platforms;
-          const allowedDirections = config.directions;
+    return differences;
+  },
 
-          console.log(`🔍 Fetching ${station.name}: platforms=${platformIds.join(', ')}, directions=${allowedDirections.join(', ')}`);
+  /**
+   * Fetch drive times (home -> work via garage)
+   */
+  async fetchDriveTimes() {
+    await this.geocodeLocations();
 
-          const allNorthbound = [];
-          const allSouthbound = [];
+    const [morning, evening] = await Promise.all([
+      this.fetchCommute(this.getCommuteLegs('morning'), 'morning'),
+      this.fetchCommute(this.getCommuteLegs('evening'), 'evening'),
+    ]);
+    this.state.commute = { morning, evening };
 
-          // Fetch from each platform
-          for (const platformId of platformIds) {
-            const platformData = await API.getLineArrivals(platformId, lineId);
-            console.log(`  → Platform ${platformId}:`, platformData);
+    // Drive cards and forecasts follow the drive leg (home <-> garage)
+    this.state.driveTime.morning = morning.legs.find(leg => leg.mode === 'DRIVE') || null;
+    this.state.driveTime.evening = evening.legs.find(leg => leg.mode === 'DRIVE') || null;
 
-            if (allowedDirections.includes('northbound')) {
-              allNorthbound.push(...(platformData.northbound || []));
-            }
-            if (allowedDirections.includes('southbound')) {
-              allSouthbound.push(...(platformData.southbound || []));
-            }
-          }
+    await Promise.all([
+      this.fetchDriveTypical(),
+      this.fetchParkAndRide(),
+    ]);
+  },
 
-          // Sort combined data by time
-          allNorthbound.sort((a, b) => a.time - b.time);
-          allSouthbound.sort((a, b) => a.time - b.time);
+  /**
+   * Look up the typical drive for right now from the recorded history
+   */
+  async fetchDriveTypical() {
+    const { locations } = this.config;
+    const typical = await Promise.all(['morning', 'evening'].map(period => {
+      const leg = this.getCommuteLegs(period).find(leg => leg.mode === 'DRIVE');
+      return leg ? API.getTypicalDriveTime(period, locations[leg.from], locations[leg.to], new Date(), this.getRouteAvoid()) : null;
+    }));
+
+    this.state.driveTypical = { morning: typical[0], evening: typical[1] };
+  },
 
-          data = {
-            northbound: allNorthbound,
-            southbound: allSouthbound,
-            stopName: station.name,
-          };
+  /**
+   * Fetch the drive to the board station and the walk from the alight
+   * station, plus the day's trains there for leave-by times and the
+   * drive comparison
+   */
+  async fetchParkAndRide() {
+    const { lineId, board, alight, eveningWindowMinutes } = this.config.parkAndRide;
+    const stations = this.getStations(lineId);
+    const boardStation = stations.find(station => station.id === board);
+    const alightStation = stations.find(station => station.id === alight);
+    const { home, work } = this.config.locations;
+
+    if (!boardStation || !alightStation) {
+      console.warn('⚠️ Park-and-ride stations not found in the route registry');
+      return;
+    }
 
-          console.log(`✅ ${lineId} - ${station.name}: Merged ${platformIds.length} platforms - NB: ${data.northbound.length} trains, SB: ${data.southbound.length} trains`);
-        } else {
-          // Standard fetch for G&B lines
-          data = await API.getLineArrivals(station.id, lineId);
-        }
+    const until = this.atClockTime(new Date(), this.config.schedule.leaveWorkAt) + eveningWindowMinutes * 60 * 1000;
+    const stops = this.getTransitStops().filter(stop => stop.routeId === lineId && [board, alight].includes(stop.stopId));
 
-        console.log(`📍 ${lineId} - ${station.name} (${station.id}):`, {
-          hasNorthbound: !!data.northbound,
-          hasSouthbound: !!data.southbound,
-          nbCount: data.northbound?.length || 0,
-          sbCount: data.southbound?.length || 0,
-          sample: data.northbound?.[0] || data.southbound?.[0],
-        });
+    const [toStation, toWork, trains] = await Promise.all([
+      API.getDriveTimes(home, boardStation, this.getRouteAvoid()),
+      API.getDriveTimes(alightStation, work, {}, null, 'WALK'),
+      until > Date.now() ? API.getBatchArrivals(stops, Infinity, until) : [],
+    ]);
 
-        lineData[station.id] = {
-          ...data,
-          stationName: station.name,
-        };
-      }
+    this.state.parkAndRide = { toStation, toWork };
+    this.state.leaveByTrains = Object.fromEntries(trains
+      .filter(result => !result._isFallback)
+      .map(result => [result.stopId, result]));
+  },
 
-      this.state.transitData[lineId] = lineData;
-      console.log(`✅ ${lineId}: Loaded ${stations.length} stations`);
+  /**
+   * Compare driving downtown with park-and-ride for the next departures
+   * you can still catch, from the day's full train list (the board keeps
+   * only the next few). Each option leaves home just in time for its
+   * train; driving is compared at the same leave time.
+   */
+  getCommuteComparison() {
+    const drive = this.state.commute.morning;
+    const parkAndRide = this.state.parkAndRide;
+    if (!drive || !parkAndRide) {
+      return null;
     }
 
-    console.log('✅ Transit data fetch complete');
+    const { lineId, board, direction, transferMinutes, rideMinutes, departures } = this.config.parkAndRide;
+    const now = Date.now();
+    const minute = 60 * 1000;
+    const toPlatform = (parkAndRide.toStation.minutes + transferMinutes) * minute;
+    const arrivals = (this.state.leaveByTrains[board] || this.state.transitData[lineId]?.[board])?.[direction] || [];
+
+    const options = arrivals
+      .filter(train => this.isTrainStopping(train))
+      .map(train => ({ train, departsAt: (train.departureTime || train.time) * 1000 }))
+      .filter(({ departsAt }) => departsAt - toPlatform >= now)
+      .slice(0, departures)
+      .map(({ train, departsAt }) => {
+        const leaveAt = departsAt - toPlatform;
+        const transitArriveAt = departsAt + (rideMinutes + parkAndRide.toWork.minutes) * minute;
+        const driveArriveAt = leaveAt + drive.totalMinutes * minute;
+        return {
+          train,
+          leaveAt,
+          departsAt,
+          transitArriveAt,
+          driveArriveAt,
+          winner: transitArriveAt < driveArriveAt ? 'transit' : 'drive',
+        };
+      });
+
+    // Right now: drive immediately, or wait for the first catchable train
+    const next = options[0];
+    const driveTotal = drive.totalMinutes;
+    const transitTotal = next ? Math.round((next.transitArriveAt - now) / minute) : null;
+
+    return {
+      drive: { totalMinutes: driveTotal, arriveAt: now + driveTotal * minute, legs: drive.legs },
+      transit: next ? { totalMinutes: transitTotal, arriveAt: next.transitArriveAt, next } : null,
+      recommendation: transitTotal !== null && transitTotal < driveTotal ? 'transit' : 'drive',
+      savedMinutes: transitTotal !== null ? Math.abs(driveTotal - transitTotal) : null,
+      options,
+    };
   },
 
   /**
-   * Fetch vehicle positions for live GPS tracking
+   * Minutes after midnight for a local 'HH:MM' time
    */
-  async fetchVehiclePositions() {
-    console.log('🚆 Fetching vehicle positions...');
-    const data = await API.getVehiclePositions();
-    this.state.vehiclePositions = data;
-    console.log(`✅ Got ${data.vehicles.length} vehicles:`, data.routeSummary);
+  parseClockTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
   },
 
   /**
-   * Set up auto-refresh timers
+   * Timestamp for a local 'HH:MM' time on the given day
    */
-  setupAutoRefresh() {
-    // Weather refresh
-    setInterval(() => {
-      if (!this.state.loading.weather) {
-        this.fetchWeather().then(() => this.render());
-      }
-    }, this.config.refreshIntervals.weather);
-
-    // Drive time refresh
-    setInterval(() => {
-      if (!this.state.loading.drive) {
-        this.fetchDriveTimes().then(() => this.render());
-      }
-    }, this.config.refreshIntervals.drive);
-
-    // Transit refresh
-    setInterval(() => {
-      if (!this.state.loading.transit) {
-        this.fetchTransitData().then(() => this.render());
-      }
-    }, this.config.refreshIntervals.transit);
-
-    // Vehicle positions refresh (10 seconds for live tracking)
-    setInterval(() => {
-      this.fetchVehiclePositions().then(() => this.render());
-    }, 10000);
+  atClockTime(day, time) {
+    const date = new Date(day);
+    date.setHours(0, this.parseClockTime(time), 0, 0);
+    return date.getTime();
   },
 
   /**
-   * Manual refresh
+   * Local 'YYYY-MM-DD' for matching holidays
    */
-  async handleRefresh() {
-    const btn = document.getElementById('refreshBtn');
-    if (btn) {
-      btn.textContent = '⏳ Refreshing...';
-      btn.disabled = true;
-    }
-
-    await this.loadInitialData();
-    this.render();
+  getDateKey(date) {
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+      .map(part => String(part).padStart(2, '0'))
+      .join('-');
+  },
 
-    if (btn) {
-      btn.textContent = '✓ Refreshed';
-      setTimeout(() => {
-        btn.textContent = '🔄 Refresh';
-        btn.disabled = false;
-      }, 2000);
-    }
+  isWorkDay(date) {
+    const { workDays, holidays } = this.config.schedule;
+    return workDays.includes(date.getDay()) && !holidays.includes(this.getDateKey(date));
   },
 
   /**
-   * Toggle theme
+   * First work day on or after `date` (null if none within two weeks)
    */
-  toggleTheme() {
-    this.state.theme = this.state.theme === 'dark' ? 'light' : 'dark';
-    this.updateTheme();
-    this.savePreferences();
+  getNextWorkDay(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    for (let i = 0; i < 14; i++, day.setDate(day.getDate() + 1)) {
+      if (this.isWorkDay(day)) return new Date(day);
+    }
+    return null;
   },
 
   /**
-   * Update theme in DOM
+   * Whether today's commutes are over and the next one is on a later day
    */
-  updateTheme() {
-    document.documentElement.setAttribute('data-theme', this.state.theme);
+  isCommuteDayOver(now) {
+    const { leaveWorkAt } = this.config.schedule;
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    return minutes >= this.parseClockTime(leaveWorkAt) + this.config.eveningFocusMinutes;
   },
 
   /**
-   * Switch tabs
+   * Which commute to put first: 'morning' until halfway through the work
+   * day, then 'evening' for a while after leaving work, then the next
+   * morning (a work day's evening looks ahead past a weekend to the next
+   * work day). 'off' on weekends and holidays.
    */
-  switchTab(tabName) {
-    this.state.activeTab = tabName;
-    if (tabName !== 'drive') {
-      this.state.selectedLine = tabName;
+  getCommuteFocus(now = new Date()) {
+    const { arriveBy, leaveWorkAt } = this.config.schedule;
+
+    if (this.isCommuteDayOver(now)) {
+      const tomorrow = new Date(now);
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      return this.isWorkDay(now) || this.isWorkDay(tomorrow) ? 'morning' : 'off';
     }
-    this.render();
+    if (!this.isWorkDay(now)) {
+      return 'off';
+    }
+
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const midday = (this.parseClockTime(arriveBy) + this.parseClockTime(leaveWorkAt)) / 2;
+    return minutes >= midday ? 'evening' : 'morning';
   },
 
   /**
-   * Change station
+   * When a commute period next sets off: the morning leave-by drive time
+   * (arriveBy less buffer and the door-to-door total, once known) or
+   * leaveWorkAt, on the next work day where that is still ahead
    */
-  changeStation(lineId, stationId) {
-    this.state.selectedStation[lineId] = stationId;
-    this.savePreferences();
+  getNextCommuteTime(period, now = new Date()) {
+    const { arriveBy, leaveWorkAt, bufferMinutes } = this.config.schedule;
+    const commute = this.state.commute[period];
+    const timeAt = (day) => {
+      const target = this.atClockTime(day, period === 'morning' ? arriveBy : leaveWorkAt);
+      if (period !== 'morning') return target;
+      const buffer = bufferMinutes + (this.getAlertBuffer(target)?.minutes || 0);
+      return target - (buffer + (commute?.totalMinutes || 0)) * 60 * 1000;
+    };
 
-    // Reload transit data for this line
-    this.state.loading.transit = true;
-    this.render();
+    const today = this.getNextWorkDay(now);
+    if (today && timeAt(today) > now.getTime()) {
+      return timeAt(today);
+    }
 
-    API.getLineArrivals(stationId, lineId).then(data => {
-      this.state.transitData[lineId] = data;
-      this.state.loading.transit = false;
-      this.render();
-    });
+    const tomorrow = new Date(today || now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    const next = this.getNextWorkDay(tomorrow);
+    return next ? timeAt(next) : null;
   },
 
   /**
-   * Toggle avoid highways
+   * "Leave by" times for a commute period on its next work day, from the
+   * live door-to-door drive and the park-and-ride trains.
+   * Morning: latest departures that still arrive bufferMinutes before
+   * arriveBy. Evening: leave work at leaveWorkAt, or in time for the
+   * first train after it. Trains are only known for today, and cancelled
+   * or skipped ones are never picked. A qualifying weather alert adds
+   * alertBufferMinutes to the buffer.
    */
-  toggleAvoidHighways() {
-    this.state.avoidHighways = !this.state.avoidHighways;
-    this.savePreferences();
+  getLeaveBy(period, now = new Date()) {
+    const commute = this.state.commute[period];
+    const start = new Date(now);
+    if (this.isCommuteDayOver(now)) {
+      start.setDate(start.getDate() + 1);
+    }
+    const day = this.getNextWorkDay(start);
+    if (!commute || !day) {
+      return null;
+    }
 
-    // Reload drive times
-    this.state.loading.drive = true;
-    this.render();
+    const { arriveBy, leaveWorkAt, bufferMinutes } = this.config.schedule;
+    const { lineId, board, alight, direction, returnDirection, transferMinutes, rideMinutes } = this.config.parkAndRide;
+    const parkAndRide = this.state.parkAndRide;
+    const minute = 60 * 1000;
+    const isToday = this.getDateKey(day) === this.getDateKey(now);
+    const hasTrains = isToday && !!parkAndRide;
+
+    const trainsAt = (stopId, trainDirection) =>
+      ((this.state.leaveByTrains[stopId] || this.state.transitData[lineId]?.[stopId])?.[trainDirection] || [])
+        .filter(train => this.isTrainStopping(train))
+        .map(train => ({ train, departsAt: (train.departureTime || train.time) * 1000 }));
+
+    let drive;
+    let transit = null;
+    let alertBuffer = null;
+
+    if (period === 'morning') {
+      alertBuffer = this.getAlertBuffer(this.atClockTime(day, arriveBy));
+      const arriveAt = this.atClockTime(day, arriveBy) - (bufferMinutes + (alertBuffer?.minutes || 0)) * minute;
+      drive = { leaveAt: arriveAt - commute.totalMinutes * minute, arriveAt };
+
+      if (hasTrains) {
+        const toPlatform = (parkAndRide.toStation.minutes + transferMinutes) * minute;
+        const catchable = trainsAt(board, direction)
+          .map(option => ({ ...option, arriveAt: option.departsAt + (rideMinutes + parkAndRide.toWork.minutes) * minute }))
+          .filter(option => option.arriveAt <= arriveAt);
+        const latest = catchable[catchable.length - 1];
+        if (latest) {
+          transit = { ...latest, leaveAt: latest.departsAt - toPlatform };
+        }
+      }
+    } else {
+      const leaveAt = this.atClockTime(day, leaveWorkAt);
+      drive = { leaveAt, arriveAt: leaveAt + commute.totalMinutes * minute };
+      alertBuffer = this.getAlertBuffer(leaveAt);
+
+      if (hasTrains) {
+        const toPlatform = (parkAndRide.toWork.minutes + transferMinutes + bufferMinutes + (alertBuffer?.minutes || 0)) * minute;
+        const first = trainsAt(alight, returnDirection)
+          .find(option => option.departsAt - toPlatform >= leaveAt);
+        if (first) {
+          transit = {
+            ...first,
+            leaveAt: first.departsAt - toPlatform,
+            arriveAt: first.departsAt + (rideMinutes + parkAndRide.toStation.minutes) * minute,
+          };
+        }
+      }
+    }
 
-    this.fetchDriveTimes().then(() => {
-      this.state.loading.drive = false;
-      this.render();
-    });
+    return { period, day: day.getTime(), isToday, drive, transit, alertBuffer };
   },
 
   /**
-   * Switch selected line
+   * Route modifiers from the avoid toggles
    */
-  switchLine(lineId) {
-    this.state.selectedLine = lineId;
-    this.render();
+  getRouteAvoid() {
+    return { highways: this.state.avoidHighways, tolls: this.state.avoidTolls };
   },
 
   /**
-   * Set up event listeners
+   * Ordered legs for a commute period; evening reverses the morning legs
    */
-  setupEventListeners() {
-    // These will be attached via onclick in the HTML
-    window.appRefresh = () => this.handleRefresh();
-    window.appToggleTheme = () => this.toggleTheme();
-    window.appSwitchTab = (tab) => this.switchTab(tab);
+  getCommuteLegs(period) {
+    const legs = this.config.commuteLegs;
+    return period === 'evening'
+      ? [...legs].reverse().map(leg => ({ mode: leg.mode, from: leg.to, to: leg.from }))
+      : legs;
+  },
+
+  /**
+   * Route every leg with its own travel mode and total the door-to-door time.
+   * The drive leg is tagged with the period so the server records it.
+   */
+  async fetchCommute(legs, period) {
+    const { locations } = this.config;
+
+    const results = await Promise.all(legs.map(leg =>
+      API.getDriveTimes(
+        locations[leg.from], locations[leg.to], this.getRouteAvoid(), null, leg.mode,
+        leg.mode === 'DRIVE' ? period : null
+      )
+    ));
+
+    // A tolled drive is compared with the toll-free route: an alternative
+    // if Google offered one, otherwise a second request avoiding tolls
+    await Promise.all(results.map(async (result, i) => {
+      if (legs[i].mode !== 'DRIVE' || !result.tolls || this.state.avoidTolls) return;
+
+      let tollFree = result.routes.find(route => !route.tolls);
+      if (!tollFree) {
+        const avoided = await API.getDriveTimes(
+          locations[legs[i].from], locations[legs[i].to], { ...this.getRouteAvoid(), tolls: true }
+        );
+        tollFree = avoided._isFallback ? null : avoided;
+      }
+      if (tollFree) {
+        result.tollFreeMinutes = tollFree.minutes;
+        result.tollMinutesSaved = Math.max(0, tollFree.minutes - result.minutes);
+      }
+    }));
+
+    const commuteLegs = legs.map((leg, i) => ({ ...leg, ...results[i] }));
+    return {
+      legs: commuteLegs,
+      totalMinutes: commuteLegs.reduce((sum, leg) => sum + leg.minutes, 0),
+      _isFallback: commuteLegs.some(leg => leg._isFallback),
+    };
+  },
+
+  /**
+   * Departure times to sample for a forecast window. A window that
+   * has already started begins now.
+   */
+  getForecastDepartureTimes(startAt) {
+    const { windowMinutes, stepMinutes } = this.config.driveForecast;
+    const now = new Date();
+    let start = now;
+
+    if (startAt) {
+      const [hours, minutes] = startAt.split(':').map(Number);
+      start = new Date(now);
+      start.setHours(hours, minutes, 0, 0);
+      if (start.getTime() + windowMinutes * 60 * 1000 < now.getTime()) {
+        start.setDate(start.getDate() + 1);
+      }
+      if (start < now) {
+        start = now;
+      }
+    }
+
+    const times = [];
+    for (let offset = 0; offset <= windowMinutes; offset += stepMinutes) {
+      times.push(new Date(start.getTime() + offset * 60 * 1000));
+    }
+    return times;
+  },
+
+  /**
+   * Fetch departure-time forecasts for both commutes (needs geocoded locations)
+   */
+  async fetchDriveForecasts() {
+    const { locations } = this.config;
+    const { startAt } = this.config.driveForecast;
+    const driveLeg = this.config.commuteLegs.find(leg => leg.mode === 'DRIVE');
+    const origin = driveLeg && locations[driveLeg.from];
+    const destination = driveLeg && locations[driveLeg.to];
+
+    if (!origin?.lat || !destination?.lat) {
+      return;
+    }
+
+    const [morning, evening] = await Promise.all([
+      API.getDriveForecast(origin, destination, this.getRouteAvoid(), this.getForecastDepartureTimes(startAt.morning)),
+      API.getDriveForecast(destination, origin, this.getRouteAvoid(), this.getForecastDepartureTimes(startAt.evening)),
+    ]);
+
+    this.state.driveForecast = { morning, evening };
+  },
+
+  /**
+   * Build the batch stop list for every station on every route.
+   * Multi-platform stations merge their directional platforms.
+   */
+  getTransitStops() {
+    const stops = [];
+
+    for (const route of this.config.routes) {
+      for (const station of route.stations) {
+        stops.push({
+          stopId: station.id,
+          routeId: route.id,
+          ...(station.platforms && { platforms: station.platforms }),
+          ...(station.directions && { directions: station.directions }),
+        });
+      }
+    }
+
+    return stops;
+  },
+
+  /**
+   * Store batch/stream stop results into transitData by line and station
+   */
+  applyArrivalResults(results) {
+    for (const result of results) {
+      const station = this.getStations(result.routeId).find(s => s.id === result.stopId);
+      if (!station) continue;
+
+      this.state.transitData[result.routeId] = this.state.transitData[result.routeId] || {};
+      this.state.transitData[result.routeId][station.id] = {
+        ...result,
+        stopName: station.name,
+        stationName: station.name,
+      };
+    }
+  },
+
+  /**
+   * Fetch transit data for ALL stations on all lines in a single batch request
+   */
+  async fetchTransitData() {
+    console.log('🚆 Fetching transit data for all lines and stations...');
+
+    const stops = this.getTransitStops();
+    const results = await API.getBatchArrivals(stops);
+    this.applyArrivalResults(results);
+
+    console.log(`✅ Transit data fetch complete: ${stops.length} stations in one request`);
+  },
+
+  /**
+   * Fetch vehicle positions for live GPS tracking
+   */
+  async fetchVehiclePositions() {
+    console.log('🚆 Fetching vehicle positions...');
+    const data = await API.getVehiclePositions(this.getRouteIds());
+    this.state.vehiclePositions = data;
+    console.log(`✅ Got ${data.vehicles.length} vehicles:`, data.routeSummary);
+  },
+
+  /**
+   * Fetch service alerts for all lines and their stations
+   */
+  async fetchAlerts() {
+    const stopIds = new Set();
+
+    for (const route of this.config.routes) {
+      for (const station of route.stations) {
+        this.getStationStopIds(station).forEach(id => stopIds.add(id));
+      }
+    }
+
+    const data = await API.getAlerts(this.getRouteIds(), [...stopIds]);
+    if (data._isFallback) return;
+
+    this.state.alerts = data.alerts;
+
+    // Forget dismissals for alerts that are no longer in the feed
+    const alertIds = data.alerts.map(alert => alert.id);
+    this.state.dismissedAlerts = this.state.dismissedAlerts.filter(id => alertIds.includes(id));
+    this.savePreferences();
+  },
+
+  /**
+   * Get stop IDs for a station, including its directional platforms
+   */
+  getStationStopIds(station) {
+    return station.platforms || [station.id];
+  },
+
+  /**
+   * Get alerts affecting a line, either by route or by one of its stations
+   */
+  getLineAlerts(lineId) {
+    const lineStopIds = this.getStations(lineId).flatMap(station => this.getStationStopIds(station));
+
+    return this.state.alerts.filter(alert =>
+      alert.routeIds.includes(lineId) ||
+      alert.stopIds.some(stopId => lineStopIds.includes(stopId))
+    );
+  },
+
+  /**
+   * Get active alerts that affect a specific station
+   */
+  getStationAlerts(station) {
+    const stopIds = this.getStationStopIds(station);
+    return this.state.alerts.filter(alert =>
+      alert.isActive && alert.stopIds.some(stopId => stopIds.includes(stopId))
+    );
+  },
+
+  /**
+   * Merge a vehicle delta from the live stream into vehiclePositions
+   */
+  applyVehicleDelta(data) {
+    const updatedIds = data.updated.map(vehicle => vehicle.id);
+    const current = data.reset ? [] : this.state.vehiclePositions.vehicles;
+
+    this.state.vehiclePositions = {
+      vehicles: current
+        .filter(vehicle => !updatedIds.includes(vehicle.id) && !data.removed.includes(vehicle.id))
+        .concat(data.updated),
+      timestamp: Date.now(),
+      feedAgeSeconds: Math.floor((Date.now() - data.feedTimestamp) / 1000),
+      routeSummary: data.routeSummary,
+      _isFallback: false,
+    };
+  },
+
+  /**
+   * Recompute "min away" from arrival times without refetching
+   */
+  updateCountdowns() {
+    const now = Date.now() / 1000;
+    for (const lineData of Object.values(this.state.transitData)) {
+      for (const stationData of Object.values(lineData)) {
+        for (const train of [...(stationData.northbound || []), ...(stationData.southbound || [])]) {
+          train.minutesAway = Math.round((train.time - now) / 60);
+        }
+      }
+    }
+  },
+
+  /**
+   * Subscribe to live arrival and vehicle pushes; falls back to polling
+   * while the stream is down and reconnects with backoff
+   */
+  connectTransitStream() {
+    if (!window.EventSource) {
+      this.startTransitPolling();
+      return;
+    }
+
+    this.transitStream = API.openTransitStream(this.getTransitStops(), this.getRouteIds(), {
+      onOpen: () => {
+        console.log('📡 Live transit stream connected');
+        this.state.streaming = true;
+        this.streamRetryDelay = this.config.streamRetry.initial;
+        this.stopTransitPolling();
+      },
+      onError: () => this.handleStreamError(),
+      onArrivals: ({ results }) => {
+        this.applyArrivalResults(results);
+        this.state.lastRefresh = new Date();
+        this.render();
+      },
+      onVehicles: (data) => {
+        this.applyVehicleDelta(data);
+        this.render();
+      },
+    });
+  },
+
+  /**
+   * Close a failed stream (disabling EventSource's own retry), poll in the
+   * meantime and schedule a reconnect
+   */
+  handleStreamError() {
+    console.warn(`⚠️ Live transit stream lost, polling and retrying in ${this.streamRetryDelay / 1000}s`);
+
+    if (this.transitStream) {
+      this.transitStream.close();
+      this.transitStream = null;
+    }
+    this.state.streaming = false;
+    this.startTransitPolling();
+
+    clearTimeout(this.timers.streamReconnect);
+    this.timers.streamReconnect = setTimeout(() => this.connectTransitStream(), this.streamRetryDelay);
+    this.streamRetryDelay = Math.min(this.streamRetryDelay * 2, this.config.streamRetry.max);
+  },
+
+  /**
+   * Poll transit arrivals and vehicle positions (used when streaming is unavailable)
+   */
+  startTransitPolling() {
+    if (this.timers.transit) return;
+
+    // Transit refresh
+    this.timers.transit = setInterval(() => {
+      if (!this.state.loading.transit) {
+        this.fetchTransitData().then(() => this.render());
+      }
+    }, this.config.refreshIntervals.transit);
+
+    // Vehicle positions refresh (10 seconds for live tracking)
+    this.timers.vehicles = setInterval(() => {
+      this.fetchVehiclePositions().then(() => this.render());
+    }, this.config.refreshIntervals.vehicles);
+  },
+
+  stopTransitPolling() {
+    clearInterval(this.timers.transit);
+    clearInterval(this.timers.vehicles);
+    this.timers.transit = null;
+    this.timers.vehicles = null;
+  },
+
+  /**
+   * Set up auto-refresh timers
+   */
+  setupAutoRefresh() {
+    this.startRefreshTimers();
+
+    // Transit and vehicle updates: live stream, polling as fallback
+    this.streamRetryDelay = this.config.streamRetry.initial;
+    this.connectTransitStream();
+  },
+
+  /**
+   * Start the weather, drive, forecast, alerts and countdown timers
+   */
+  startRefreshTimers() {
+    // Weather refresh
+    this.timers.weather = setInterval(() => {
+      if (!this.state.loading.weather) {
+        this.fetchWeather().then(() => this.render());
+      }
+    }, this.config.refreshIntervals.weather);
+
+    // Drive time refresh
+    this.timers.drive = setInterval(() => {
+      if (!this.state.loading.drive) {
+        this.fetchDriveTimes().then(() => this.render());
+      }
+    }, this.config.refreshIntervals.drive);
+
+    // Departure-time forecast refresh
+    this.timers.forecast = setInterval(() => {
+      this.fetchDriveForecasts().then(() => this.render());
+    }, this.config.refreshIntervals.forecast);
+
+    // Service alerts refresh
+    this.timers.alerts = setInterval(() => {
+      this.fetchAlerts().then(() => this.render());
+    }, this.config.refreshIntervals.alerts);
+
+    // Keep countdowns current between stream pushes
+    this.timers.countdown = setInterval(() => {
+      if (this.state.streaming) {
+        this.updateCountdowns();
+        this.render();
+      }
+    }, this.config.refreshIntervals.countdown);
+  },
+
+  /**
+   * Re-create all timers, e.g. after refresh intervals change
+   */
+  restartTimers() {
+    for (const name of ['weather', 'drive', 'forecast', 'alerts', 'countdown']) {
+      clearInterval(this.timers[name]);
+      this.timers[name] = null;
+    }
+    this.startRefreshTimers();
+
+    // Polling only runs while the live stream is down
+    if (this.timers.transit) {
+      this.stopTransitPolling();
+      this.startTransitPolling();
+    }
+  },
+
+  /**
+   * Manual refresh
+   */
+  async handleRefresh() {
+    const btn = document.getElementById('refreshBtn');
+    if (btn) {
+      btn.textContent = '⏳ Refreshing...';
+      btn.disabled = true;
+    }
+
+    await this.loadInitialData();
+    this.render();
+
+    if (btn) {
+      btn.textContent = '✓ Refreshed';
+      setTimeout(() => {
+        btn.textContent = '🔄 Refresh';
+        btn.disabled = false;
+      }, 2000);
+    }
+  },
+
+  /**
+   * Toggle theme
+   */
+  toggleTheme() {
+    this.state.theme = this.state.theme === 'dark' ? 'light' : 'dark';
+    this.updateTheme();
+    this.savePreferences();
+  },
+
+  /**
+   * Update theme in DOM
+   */
+  updateTheme() {
+    document.documentElement.setAttribute('data-theme', this.state.theme);
+  },
+
+  /**
+   * Share display preferences with the API client and tag the page language
+   */
+  updateDisplay() {
+    API.display = this.state.display;
+    document.documentElement.setAttribute('lang', this.state.display.locale);
+  },
+
+  /**
+   * Switch tabs
+   */
+  switchTab(tabName) {
+    this.state.activeTab = tabName;
+    if (this.getRoute(tabName)) {
+      this.state.selectedLine = tabName;
+    }
+    this.render();
+  },
+
+  /**
+   * Toggle avoid highways
+   */
+  toggleAvoidHighways() {
+    this.state.avoidHighways = !this.state.avoidHighways;
+    this.savePreferences();
+    this.reloadDriveTimes();
+  },
+
+  /**
+   * Toggle avoid tolls
+   */
+  toggleAvoidTolls() {
+    this.state.avoidTolls = !this.state.avoidTolls;
+    this.savePreferences();
+    this.reloadDriveTimes();
+  },
+
+  /**
+   * Re-fetch drive times and forecasts after a route option changes
+   */
+  reloadDriveTimes() {
+    this.state.loading.drive = true;
+    this.render();
+
+    this.fetchDriveTimes().then(() => {
+      this.state.loading.drive = false;
+      this.render();
+      return this.fetchDriveForecasts();
+    }).then(() => this.render());
+  },
+
+  /**
+   * Dismiss a service alert banner
+   */
+  dismissAlert(alertId) {
+    if (!this.state.dismissedAlerts.includes(alertId)) {
+      this.state.dismissedAlerts.push(alertId);
+      this.savePreferences();
+    }
+    this.render();
+  },
+
+  /**
+   * Show or hide details for a vehicle marker
+   */
+  selectVehicle(vehicleId) {
+    this.state.selectedVehicleId = this.state.selectedVehicleId === vehicleId ? null : vehicleId;
+    this.render();
+  },
+
+  /**
+   * Switch selected line
+   */
+  switchLine(lineId) {
+    this.state.selectedLine = lineId;
+    this.render();
+  },
+
+  /**
+   * Problem with an edited schedule, or null if it is usable
+   */
+  validateSchedule({ workDays, arriveBy, leaveWorkAt, bufferMinutes, alertBufferMinutes, holidays }) {
+    const isClockTime = time => /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+
+    if (workDays.length === 0) return 'Pick at least one work day';
+    if (!isClockTime(arriveBy) || !isClockTime(leaveWorkAt)) return 'Work times must be HH:MM';
+    if (this.parseClockTime(arriveBy) >= this.parseClockTime(leaveWorkAt)) return 'Arrival must be before leaving work';
+    if (!(bufferMinutes >= 0 && bufferMinutes <= 120)) return 'Buffer must be 0-120 min';
+    if (!(alertBufferMinutes >= 0 && alertBufferMinutes <= 120)) return 'Weather alert buffer must be 0-120 min';
+
+    const badHoliday = holidays.find(date => !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date)));
+    return badHoliday ? `Holiday "${badHoliday}" must be YYYY-MM-DD` : null;
+  },
+
+  /**
+   * Problem with edited display preferences, or null if they are usable
+   */
+  validateDisplay({ locale }) {
+    try {
+      return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0 ? null : `Locale "${locale}" isn't supported`;
+    } catch (e) {
+      return `Locale "${locale}" must be a language tag like en-US or de-DE`;
+    }
+  },
+
+  /**
+   * Open settings with a draft copy of the current configuration
+   */
+  openSettings() {
+    this.state.settings = {
+      open: true,
+      draft: {
+        locations: Object.fromEntries(Object.entries(this.config.locations).map(([key, location]) =>
+          [key, { address: location.address }]
+        )),
+        selectedStation: Object.fromEntries(this.getRouteIds().map(routeId => [routeId, this.getMyStationId(routeId)])),
+        refreshIntervals: { ...this.config.refreshIntervals },
+        display: { ...this.state.display },
+        schedule: {
+          ...this.config.schedule,
+          workDays: [...this.config.schedule.workDays],
+          holidays: this.config.schedule.holidays.join(', '),
+        },
+      },
+      checks: {},
+      suggestions: {},
+      error: null,
+      saving: false,
+    };
+    this.renderSettings();
+  },
+
+  closeSettings() {
+    clearTimeout(this.timers.addressSearch);
+    this.state.settings.open = false;
+    this.renderSettings();
+  },
+
+  /**
+   * Record a draft edit. Inputs keep their own value, so no re-render.
+   */
+  updateSetting(section, key, value) {
+    const { draft, checks } = this.state.settings;
+
+    if (section === 'locations') {
+      draft.locations[key] = { address: value };
+      delete checks[key];
+    } else if (section === 'refreshIntervals') {
+      const { unit } = this.config.intervalSettings.find(setting => setting.key === key);
+      draft.refreshIntervals[key] = Number(value) * (unit === 'min' ? 60 * 1000 : 1000);
+    } else if (section === 'workDays') {
+      const day = Number(key);
+      const { workDays } = draft.schedule;
+      draft.schedule.workDays = value
+        ? [...workDays.filter(workDay => workDay !== day), day].sort((a, b) => a - b)
+        : workDays.filter(workDay => workDay !== day);
+    } else {
+      draft[section][key] = value;
+    }
+  },
+
+  /**
+   * Update the draft address and fill its autocomplete list after a pause.
+   * Picking a suggestion keeps its placeId so the check geocodes that place.
+   */
+  searchAddress(key, input) {
+    const { draft, suggestions } = this.state.settings;
+    this.updateSetting('locations', key, input);
+    clearTimeout(this.timers.addressSearch);
+
+    const picked = (suggestions[key] || []).find(suggestion => suggestion.description === input);
+    if (picked) {
+      draft.locations[key].placeId = picked.placeId;
+      return;
+    }
+
+    this.timers.addressSearch = setTimeout(async () => {
+      const suggestions = await API.getPlaceSuggestions(input, this.config.locations.home);
+      this.state.settings.suggestions[key] = suggestions;
+      const list = document.getElementById(`settings-suggestions-${key}`);
+      if (list) {
+        list.innerHTML = suggestions
+          .map(suggestion => `<option value="${this.escapeHtml(suggestion.description)}"></option>`)
+          .join('');
+      }
+    }, 300);
+  },
+
+  /**
+   * Geocode a draft address (or the suggestion picked for it) and show the
+   * address found at the resulting point
+   */
+  async checkLocation(key) {
+    const { settings } = this.state;
+    const { address: query, placeId } = settings.draft.locations[key];
+
+    settings.checks[key] = { status: 'checking', query };
+    this.renderSettings();
+
+    const result = placeId || query.trim() ? await API.geocode(placeId ? { placeId } : { address: query }) : null;
+    if (result) {
+      result.address = await API.reverseGeocode(result.lat, result.lng) || result.address;
+    }
+    settings.checks[key] = result ? { status: 'ok', query, ...result } : { status: 'error', query };
+    this.renderSettings();
+    return settings.checks[key];
+  },
+
+  /**
+   * Validate and apply the draft, persist it, and refresh what changed
+   */
+  async saveSettings() {
+    const { settings } = this.state;
+    const { draft } = settings;
+    settings.error = null;
+
+    const invalid = this.config.intervalSettings.find(({ key, unit, min }) =>
+      !(draft.refreshIntervals[key] >= min * (unit === 'min' ? 60 * 1000 : 1000))
+    );
+    if (invalid) {
+      settings.error = `${invalid.label} must be at least ${invalid.min} ${invalid.unit}`;
+      this.renderSettings();
+      return;
+    }
+
+    const schedule = {
+      ...draft.schedule,
+      bufferMinutes: Number(draft.schedule.bufferMinutes),
+      alertBufferMinutes: Number(draft.schedule.alertBufferMinutes),
+      holidays: draft.schedule.holidays.split(',').map(date => date.trim()).filter(Boolean),
+    };
+    const scheduleError = this.validateSchedule(schedule);
+    if (scheduleError) {
+      settings.error = scheduleError;
+      this.renderSettings();
+      return;
+    }
+
+    const display = { ...draft.display, locale: draft.display.locale.trim() };
+    const displayError = this.validateDisplay(display);
+    if (displayError) {
+      settings.error = displayError;
+      this.renderSettings();
+      return;
+    }
+
+    settings.saving = true;
+    this.renderSettings();
+
+    // Changed addresses must geocode before they replace the current ones
+    const changedLocations = {};
+    for (const [key, { address }] of Object.entries(draft.locations)) {
+      const current = this.config.locations[key];
+      if (address === current.address && current.lat) continue;
+
+      const check = settings.checks[key]?.query === address && settings.checks[key].status === 'ok'
+        ? settings.checks[key]
+        : await this.checkLocation(key);
+      if (check.status !== 'ok') {
+        settings.error = `Couldn't find the ${current.label || key} address`;
+        settings.saving = false;
+        this.renderSettings();
+        return;
+      }
+      changedLocations[key] = { address, lat: check.lat, lng: check.lng };
+    }
+
+    for (const [key, location] of Object.entries(changedLocations)) {
+      Object.assign(this.config.locations[key], location);
+    }
+    const stationsChanged = this.getRouteIds()
+      .some(routeId => draft.selectedStation[routeId] !== this.getMyStationId(routeId));
+    this.state.selectedStation = { ...this.state.selectedStation, ...draft.selectedStation };
+
+    const intervalsChanged = Object.keys(draft.refreshIntervals)
+      .some(key => draft.refreshIntervals[key] !== this.config.refreshIntervals[key]);
+    Object.assign(this.config.refreshIntervals, draft.refreshIntervals);
+    Object.assign(this.config.schedule, schedule);
+
+    const { units, locale } = this.state.display;
+    const displayChanged = Object.keys(display).some(key => display[key] !== this.state.display[key]);
+    Object.assign(this.state.display, display);
+    this.updateDisplay();
+
+    this.savePreferences();
+    if (intervalsChanged) {
+      this.restartTimers();
+    }
+
+    settings.saving = false;
+    this.closeSettings();
+    this.render();
+
+    // The clock format only needs the re-render above; the stream's
+    // server-formatted times follow the new prefs once it reconnects
+    if (displayChanged && this.transitStream) {
+      this.transitStream.close();
+      this.transitStream = null;
+      this.connectTransitStream();
+    }
+
+    // New addresses change every drive estimate and the weather strip, as
+    // do new units or locale (distances, temperatures, descriptions); new
+    // stations only change the weather strip
+    const unitsOrLocaleChanged = display.units !== units || display.locale !== locale;
+    if (Object.keys(changedLocations).length > 0 || unitsOrLocaleChanged) {
+      this.state.driveForecast = { morning: null, evening: null };
+      await Promise.all([
+        this.fetchWeather(),
+        this.fetchDriveTimes().then(() => this.fetchDriveForecasts()),
+        unitsOrLocaleChanged ? this.fetchAlerts() : null,
+      ]);
+      this.render();
+    } else if (stationsChanged) {
+      await this.fetchWeather();
+      this.render();
+    }
+  },
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    // These will be attached via onclick in the HTML
+    window.appRefresh = () => this.handleRefresh();
+    window.appToggleTheme = () => this.toggleTheme();
+    window.appSwitchTab = (tab) => this.switchTab(tab);
     window.appSwitchLine = (lineId) => this.switchLine(lineId);
-    window.appChangeStation = (line, station) => this.changeStation(line, station);
     window.appToggleHighways = () => this.toggleAvoidHighways();
+    window.appToggleTolls = () => this.toggleAvoidTolls();
+    window.appDismissAlert = (alertId) => this.dismissAlert(alertId);
+    window.appSelectVehicle = (vehicleId) => this.selectVehicle(vehicleId);
+    window.appOpenSettings = () => this.openSettings();
+    window.appCloseSettings = () => this.closeSettings();
+    window.appUpdateSetting = (section, key, value) => this.updateSetting(section, key, value);
+    window.appSearchAddress = (key, input) => this.searchAddress(key, input);
+    window.appCheckLocation = (key) => this.checkLocation(key);
+    window.appSaveSettings = () => this.saveSettings();
   },
 
   /**
@@ -474,6 +1768,73 @@ const App = {
     return 'Good evening';
   },
 
+  /**
+   * Whether a train will actually stop (not skipped or cancelled), by its
+   * status or the feed's schedule relationships
+   */
+  isTrainStopping(train) {
+    return train.status !== 'Skipped' && train.status !== 'Cancelled' &&
+      train.tripScheduleRelationship !== 'CANCELED' && train.stopScheduleRelationship !== 'SKIPPED';
+  },
+
+  /**
+   * Get badge label and style for a train's GTFS-RT status
+   */
+  getTrainStatus(train) {
+    if (train.isScheduled && this.isTrainStopping(train)) {
+      return { label: 'Scheduled', className: 'timetable' };
+    }
+
+    switch (train.status) {
+      case 'Cancelled':
+        return { label: 'Cancelled', className: 'cancelled' };
+      case 'Skipped':
+        return { label: 'Skipped', className: 'skipped' };
+      case 'Added':
+        return { label: 'Added', className: 'added' };
+      case 'Delayed':
+        return { label: `${train.delayMinutes} min late`, className: 'late' };
+      case 'Early':
+        return { label: `${Math.abs(train.delayMinutes)} min early`, className: 'early' };
+      case 'On time':
+        return { label: 'On time', className: 'on-time' };
+      default:
+        return { label: 'Scheduled', className: 'scheduled' };
+    }
+  },
+
+  /**
+   * Render status badge for a train
+   */
+  renderStatusBadge(train) {
+    const status = this.getTrainStatus(train);
+    return `<span class="status-badge ${status.className}">${status.label}</span>`;
+  },
+
+  /**
+   * Escape feed-supplied text before inserting it into markup
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  /**
+   * A feed-supplied link if it is http(s), else null (no javascript: etc.)
+   */
+  getSafeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+    } catch (e) {
+      return null;
+    }
+  },
+
   /**
    * Format time ago
    */
@@ -485,24 +1846,203 @@ const App = {
     return `${minutes} minutes ago`;
   },
 
-  /**
-   * Main render function
-   */
-  render() {
-    const app = document.getElementById('app');
-    if (!app) return;
+  /**
+   * Main render function
+   */
+  render() {
+    const app = document.getElementById('app');
+    if (!app) return;
+
+    // Show loading screen on initial load
+    if (this.state.loading.initial) {
+      app.innerHTML = this.renderLoadingScreen();
+      return;
+    }
+
+    // Restored tab-based navigation
+    app.innerHTML = `
+      ${this.renderHeader()}
+      ${this.renderTabs()}
+      ${this.renderContent()}
+    `;
+  },
+
+  /**
+   * Render the settings panel into its own root
+   */
+  renderSettings() {
+    const root = document.getElementById('settings');
+    if (!root) return;
+
+    const { open, draft, checks, error, saving } = this.state.settings;
+    if (!open) {
+      root.innerHTML = '';
+      return;
+    }
+
+    const checkStatus = (key) => {
+      const check = checks[key];
+      if (!check) return '';
+      if (check.status === 'checking') return '<div class="settings-check">Checking…</div>';
+      if (check.status === 'error') return '<div class="settings-check error">⚠️ Address not found</div>';
+      return `
+        <div class="settings-check ok">
+          ✓ ${this.escapeHtml(check.address)} (${check.lat.toFixed(4)}, ${check.lng.toFixed(4)})
+        </div>
+      `;
+    };
+
+    root.innerHTML = `
+      <div class="settings-overlay" onclick="if (event.target === this) appCloseSettings()">
+        <div class="settings-panel card">
+          <div class="card-header">
+            <div class="card-title">⚙️ Settings</div>
+            <button class="btn btn-secondary" onclick="appCloseSettings()">✕</button>
+          </div>
+
+          <div class="settings-section">
+            <h3 class="section-title">Locations</h3>
+            ${Object.entries(draft.locations).map(([key, { address }]) => `
+              <div class="settings-field">
+                <label for="settings-location-${key}">${this.config.locations[key].label || key}</label>
+                <div class="settings-row">
+                  <input id="settings-location-${key}" type="text"
+                         list="settings-suggestions-${key}"
+                         value="${this.escapeHtml(address)}"
+                         oninput="appSearchAddress('${key}', this.value)">
+                  <button class="btn btn-secondary" onclick="appCheckLocation('${key}')">Check</button>
+                </div>
+                <datalist id="settings-suggestions-${key}"></datalist>
+                ${checkStatus(key)}
+              </div>
+            `).join('')}
+          </div>
+
+          <div class="settings-section">
+            <h3 class="section-title">My Stations</h3>
+            ${this.config.routes.map(route => `
+              <div class="settings-field">
+                <label for="settings-station-${route.id}">${this.getRouteIcon(route.id)} ${route.label}</label>
+                <select id="settings-station-${route.id}"
+                        onchange="appUpdateSetting('selectedStation', '${route.id}', this.value)">
+                  ${route.stations.map(station => `
+                    <option value="${station.id}" ${draft.selectedStation[route.id] === station.id ? 'selected' : ''}>
+                      ${station.name}
+                    </option>
+                  `).join('')}
+                </select>
+              </div>
+            `).join('')}
+          </div>
+
+          <div class="settings-section">
+            <h3 class="section-title">Work Schedule</h3>
+            <div class="settings-field">
+              <label>Work days</label>
+              <div class="settings-days">
+                ${['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((label, day) => `
+                  <label class="settings-day">
+                    <input type="checkbox" ${draft.schedule.workDays.includes(day) ? 'checked' : ''}
+                           onchange="appUpdateSetting('workDays', ${day}, this.checked)">
+                    ${label}
+                  </label>
+                `).join('')}
+              </div>
+            </div>
+            <div class="settings-intervals">
+              <div class="settings-field">
+                <label for="settings-arrive-by">Arrive at work by</label>
+                <input id="settings-arrive-by" type="time" value="${draft.schedule.arriveBy}"
+                       onchange="appUpdateSetting('schedule', 'arriveBy', this.value)">
+              </div>
+              <div class="settings-field">
+                <label for="settings-leave-work">Leave work at</label>
+                <input id="settings-leave-work" type="time" value="${draft.schedule.leaveWorkAt}"
+                       onchange="appUpdateSetting('schedule', 'leaveWorkAt', this.value)">
+              </div>
+              <div class="settings-field">
+                <label for="settings-buffer">Safety buffer (min)</label>
+                <input id="settings-buffer" type="number" min="0" max="120" value="${draft.schedule.bufferMinutes}"
+                       onchange="appUpdateSetting('schedule', 'bufferMinutes', this.value)">
+              </div>
+            </div>
+            <div class="settings-intervals">
+              <div class="settings-field">
+                <label for="settings-alert-severity">Extra buffer during weather alerts</label>
+                <select id="settings-alert-severity"
+                        onchange="appUpdateSetting('schedule', 'alertSeverity', this.value)">
+                  <option value="off" ${draft.schedule.alertSeverity === 'off' ? 'selected' : ''}>Off</option>
+                  ${['Minor', 'Moderate', 'Severe', 'Extreme'].map(severity => `
+                    <option value="${severity}" ${draft.schedule.alertSeverity === severity ? 'selected' : ''}>
+                      ${severity}${severity === 'Extreme' ? '' : ' or worse'}
+                    </option>
+                  `).join('')}
+                </select>
+              </div>
+              <div class="settings-field">
+                <label for="settings-alert-buffer">Alert buffer (min)</label>
+                <input id="settings-alert-buffer" type="number" min="0" max="120" value="${draft.schedule.alertBufferMinutes}"
+                       onchange="appUpdateSetting('schedule', 'alertBufferMinutes', this.value)">
+              </div>
+            </div>
+            <div class="settings-field">
+              <label for="settings-holidays">Holidays (YYYY-MM-DD, comma separated)</label>
+              <input id="settings-holidays" type="text" value="${this.escapeHtml(draft.schedule.holidays)}"
+                     placeholder="2026-11-26, 2026-12-25"
+                     onchange="appUpdateSetting('schedule', 'holidays', this.value)">
+            </div>
+          </div>
+
+          <div class="settings-section">
+            <h3 class="section-title">Display</h3>
+            <div class="settings-intervals">
+              <div class="settings-field">
+                <label for="settings-units">Units</label>
+                <select id="settings-units" onchange="appUpdateSetting('display', 'units', this.value)">
+                  <option value="imperial" ${draft.display.units === 'imperial' ? 'selected' : ''}>Imperial (mi, °F, mph)</option>
+                  <option value="metric" ${draft.display.units === 'metric' ? 'selected' : ''}>Metric (km, °C, km/h)</option>
+                </select>
+              </div>
+              <div class="settings-field">
+                <label for="settings-clock">Clock</label>
+                <select id="settings-clock" onchange="appUpdateSetting('display', 'clock', this.value)">
+                  <option value="12h" ${draft.display.clock === '12h' ? 'selected' : ''}>12-hour (5:30 PM)</option>
+                  <option value="24h" ${draft.display.clock === '24h' ? 'selected' : ''}>24-hour (17:30)</option>
+                </select>
+              </div>
+              <div class="settings-field">
+                <label for="settings-locale">Locale</label>
+                <input id="settings-locale" type="text" value="${this.escapeHtml(draft.display.locale)}"
+                       placeholder="en-US"
+                       onchange="appUpdateSetting('display', 'locale', this.value)">
+              </div>
+            </div>
+          </div>
 
-    // Show loading screen on initial load
-    if (this.state.loading.initial) {
-      app.innerHTML = this.renderLoadingScreen();
-      return;
-    }
+          <div class="settings-section">
+            <h3 class="section-title">Refresh Intervals</h3>
+            <div class="settings-intervals">
+              ${this.config.intervalSettings.map(({ key, label, unit, min }) => `
+                <div class="settings-field">
+                  <label for="settings-interval-${key}">${label} (${unit})</label>
+                  <input id="settings-interval-${key}" type="number" min="${min}"
+                         value="${draft.refreshIntervals[key] / (unit === 'min' ? 60 * 1000 : 1000)}"
+                         onchange="appUpdateSetting('refreshIntervals', '${key}', this.value)">
+                </div>
+              `).join('')}
+            </div>
+          </div>
 
-    // Restored tab-based navigation
-    app.innerHTML = `
-      ${this.renderHeader()}
-      ${this.renderTabs()}
-      ${this.renderContent()}
+          ${error ? `<div class="settings-error">⚠️ ${this.escapeHtml(error)}</div>` : ''}
+
+          <div class="settings-actions">
+            <button class="btn btn-secondary" onclick="appCloseSettings()">Cancel</button>
+            <button class="btn btn-primary" onclick="appSaveSettings()" ${saving ? 'disabled' : ''}>
+              ${saving ? '⏳ Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      </div>
     `;
   },
 
@@ -541,8 +2081,8 @@ const App = {
             <div class="header-title">
               <h1>Commute</h1>
               <p class="header-subtitle">
-                ${new Date().toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}
-                • ${new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
+                ${this.formatDate(Date.now(), { weekday: 'long', month: 'long', day: 'numeric' })}
+                • ${this.formatTime(Date.now())}
               </p>
               <p class="header-greeting">${this.getGreeting()}</p>
             </div>
@@ -554,11 +2094,11 @@ const App = {
                        alt="${weather.description}"
                        class="weather-icon">
                   <div>
-                    <div class="weather-temp">${weather.temp}°F</div>
+                    <div class="weather-temp">${this.formatTemp(weather.temp)}</div>
                     <div class="weather-description">${weather.description}</div>
                     <div class="weather-details">
                       <span>💧 ${weather.humidity}%</span>
-                      <span>💨 ${weather.windSpeed} mph</span>
+                      <span>💨 ${this.formatSpeed(weather.windSpeed)}</span>
                     </div>
                   </div>
                 </div>
@@ -571,9 +2111,15 @@ const App = {
               <button class="btn btn-secondary" onclick="appToggleTheme()">
                 ${this.state.theme === 'dark' ? '☀️ Light' : '🌙 Dark'}
               </button>
+
+              <button class="btn btn-secondary" onclick="appOpenSettings()">
+                ⚙️ Settings
+              </button>
             </div>
           </div>
 
+          ${this.renderWeatherAlertBanner()}
+
           <div style="margin-top: 1rem; font-size: 0.75rem; color: var(--text-muted);">
             Last updated: ${this.timeAgo(this.state.lastRefresh)}
           </div>
@@ -582,15 +2128,58 @@ const App = {
     `;
   },
 
+  /**
+   * Render active and upcoming NWS alerts for home and work
+   */
+  renderWeatherAlertBanner() {
+    const alerts = this.state.weatherAlerts.filter(alert => !alert.ends || alert.ends > Date.now());
+    if (alerts.length === 0) return '';
+
+    const formatWhen = time => this.formatTime(time, { weekday: 'short' });
+
+    return `
+      <div class="alert-banners">
+        ${alerts.map((alert) => {
+          const isActive = !alert.onset || alert.onset <= Date.now();
+
+          return `
+            <div class="alert-banner weather-alert ${alert.severity.toLowerCase()} ${isActive ? 'active' : 'upcoming'}">
+              <div class="alert-banner-icon">${isActive ? '🌨️' : '🗓️'}</div>
+              <div class="alert-banner-body">
+                <div class="alert-banner-title">
+                  ${this.escapeHtml(alert.event)} · ${this.escapeHtml(alert.places.join(', '))}
+                  <span class="alert-banner-when">
+                    ${isActive ? '' : `From ${formatWhen(alert.onset)} `}${alert.ends ? `until ${formatWhen(alert.ends)}` : ''}
+                  </span>
+                </div>
+                ${alert.headline ? `<div class="alert-banner-description">${this.escapeHtml(alert.headline)}</div>` : ''}
+                ${alert.description ? `
+                  <details class="weather-alert-details">
+                    <summary>Details</summary>
+                    <div class="alert-banner-description">${this.escapeHtml(alert.description)}</div>
+                    ${alert.instruction ? `<div class="alert-banner-description">${this.escapeHtml(alert.instruction)}</div>` : ''}
+                  </details>
+                ` : ''}
+              </div>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  },
+
   /**
    * Render tabs
    */
   renderTabs() {
     const tabs = [
       { id: 'drive', label: '🚗 Drive', },
-      { id: '117N', label: '🚆 N Line' },
-      { id: '113G', label: '🚆 G Line' },
-      { id: '113B', label: '🚆 B Line' },
+      { id: 'compare', label: '⚖️ Compare', },
+      ...this.config.routes.map(route => ({
+        id: route.id,
+        label: `${this.getRouteIcon(route.id)} ${route.label}`,
+        color: route.color,
+      })),
     ];
 
     return `
@@ -598,6 +2187,7 @@ const App = {
         <div class="tabs">
           ${tabs.map(tab => `
             <button class="tab ${this.state.activeTab === tab.id ? 'active' : ''}"
+                    ${tab.color ? `style="--line-color: ${tab.color}"` : ''}
                     onclick="appSwitchTab('${tab.id}')">
               ${tab.label}
             </button>
@@ -616,16 +2206,24 @@ const App = {
       return this.renderDriveTab();
     }
 
-    // Train line tabs show that line's info
+    // Compare tab weighs driving against park-and-ride
+    if (this.state.activeTab === 'compare') {
+      return this.renderCompareTab();
+    }
+
+    // Route tabs show that line's info
     const lineId = this.state.activeTab;
     const lineData = this.state.transitData[lineId] || {};
     const vehicles = this.state.vehiclePositions.vehicles.filter(v => v.routeId === lineId);
-    const myStation = this.config.myStations[lineId];
+    const myStation = this.getMyStationId(lineId);
 
     return `
       <div class="container">
+        <!-- Service Alerts -->
+        ${this.renderAlertBanner(lineId)}
+
         <!-- Visual Track Reference -->
-        ${this.renderVisualTrackReference(lineId, vehicles.length)}
+        ${this.renderVisualTrackReference(lineId, vehicles)}
 
         <!-- Your Station Focus -->
         ${this.renderYourStation(lineData[myStation], lineId)}
@@ -645,6 +2243,8 @@ const App = {
    */
   renderCompactDriveCards() {
     const { morning, evening } = this.state.driveTime;
+    const { commute } = this.state;
+    const doorToDoor = period => commute[period] ? ` · ${commute[period].totalMinutes} min door to door` : '';
 
     if (!morning || !evening) {
       return `
@@ -663,7 +2263,7 @@ const App = {
             <div class="compact-drive-info">
               <div class="compact-drive-label">Morning (Home → Garage)</div>
               <div class="compact-drive-time">${morning.minutes} min</div>
-              <div class="compact-drive-distance">${morning.distance} mi</div>
+              <div class="compact-drive-distance">${this.formatDistance(morning.distance)}${doorToDoor('morning')}</div>
             </div>
           </div>
           <div class="compact-drive-card">
@@ -671,7 +2271,7 @@ const App = {
             <div class="compact-drive-info">
               <div class="compact-drive-label">Evening (Garage → Home)</div>
               <div class="compact-drive-time">${evening.minutes} min</div>
-              <div class="compact-drive-distance">${evening.distance} mi</div>
+              <div class="compact-drive-distance">${this.formatDistance(evening.distance)}${doorToDoor('evening')}</div>
             </div>
           </div>
         </div>
@@ -686,6 +2286,17 @@ const App = {
             <span class="toggle-slider"></span>
           </label>
         </div>
+        <div class="drive-toggle compact">
+          <div style="display: flex; align-items: center; gap: 0.5rem; font-size: 0.75rem;">
+            💲 Avoid Tolls
+          </div>
+          <label class="toggle">
+            <input type="checkbox"
+                   ${this.state.avoidTolls ? 'checked' : ''}
+                   onchange="appToggleTolls()">
+            <span class="toggle-slider"></span>
+          </label>
+        </div>
       </div>
     `;
   },
@@ -694,19 +2305,13 @@ const App = {
    * Render line selector tabs
    */
   renderLineTabs() {
-    const lines = [
-      { id: '117N', label: 'N Line', color: '#FF6B6B' },
-      { id: '113G', label: 'G Line', color: '#4ECDC4' },
-      { id: '113B', label: 'B Line', color: '#95E1D3' }
-    ];
-
     return `
       <div class="line-tabs">
-        ${lines.map(line => `
+        ${this.config.routes.map(line => `
           <button class="line-tab ${this.state.selectedLine === line.id ? 'active' : ''}"
                   style="--line-color: ${line.color}"
                   onclick="appSwitchLine('${line.id}')">
-            🚆 ${line.label}
+            ${this.getRouteIcon(line.id)} ${line.label}
           </button>
         `).join('')}
       </div>
@@ -714,37 +2319,58 @@ const App = {
   },
 
   /**
-   * Render visual track reference with active train count
-   */
-  renderVisualTrackReference(lineId, activeCount) {
-    const stationConfigs = {
-      '117N': [
-        { id: '34668', name: 'Union', pos: 3 },
-        { id: '35246', name: '48th', pos: 25 },
-        { id: '35254', name: '112th', pos: 70 },
-        { id: '35365', name: '124th', pos: 97 }
-      ],
-      '113G': [
-        { id: '34781', name: 'Union', pos: 5 },
-        { id: '34544', name: 'Pecos', pos: 35 },
-        { id: '34541', name: 'Olde Town', pos: 70 },
-        { id: '34510', name: 'Ward', pos: 95 }
-      ],
-      '113B': [
-        { id: '34782', name: 'Union', pos: 5 },
-        { id: '34544', name: 'Pecos', pos: 50 },
-        { id: '34560', name: 'Westminster', pos: 95 }
-      ]
-    };
+   * Render dismissible service alert banners for a line
+   */
+  renderAlertBanner(lineId) {
+    const alerts = this.getLineAlerts(lineId)
+      .filter(alert => !this.state.dismissedAlerts.includes(alert.id));
+
+    if (alerts.length === 0) return '';
+
+    return `
+      <div class="alert-banners">
+        ${alerts.map(alert => {
+          const start = alert.activePeriods.find(period => period.start && period.start > Date.now())?.start;
+
+          return `
+            <div class="alert-banner ${alert.isActive ? 'active' : 'upcoming'}">
+              <div class="alert-banner-icon">${alert.isActive ? '⚠️' : '🗓️'}</div>
+              <div class="alert-banner-body">
+                <div class="alert-banner-title">
+                  ${this.escapeHtml(alert.header || 'Service alert')}
+                  ${!alert.isActive && start ? `
+                    <span class="alert-banner-when">
+                      Starts ${this.formatDate(start, { weekday: 'short', month: 'short', day: 'numeric' })}
+                    </span>
+                  ` : ''}
+                </div>
+                ${alert.description ? `<div class="alert-banner-description">${this.escapeHtml(alert.description)}</div>` : ''}
+                ${this.getSafeUrl(alert.url) ? `<a class="alert-banner-link" href="${this.escapeHtml(this.getSafeUrl(alert.url))}" target="_blank" rel="noopener">More info</a>` : ''}
+              </div>
+              <button class="alert-banner-dismiss" data-alert-id="${this.escapeHtml(alert.id)}"
+                      onclick="appDismissAlert(this.dataset.alertId)" aria-label="Dismiss alert">✕</button>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  },
 
-    const stations = stationConfigs[lineId] || [];
-    const myStation = this.config.myStations[lineId];
+  /**
+   * Render visual track reference with live train positions
+   */
+  renderVisualTrackReference(lineId, vehicles) {
+    const activeCount = vehicles.length;
+    const stations = this.getTrackStations(lineId);
+    const myStation = this.getMyStationId(lineId);
 
     return `
       <div class="visual-track-reference">
         <div class="track-header">
-          <div class="track-title">🚆 ${lineId} Route Map</div>
-          <div class="track-count">${activeCount} Active Train${activeCount !== 1 ? 's' : ''}</div>
+          <div class="track-title">${this.getRouteIcon(lineId)} ${this.getRoute(lineId)?.label || lineId} Route Map</div>
+          <div class="track-count">${activeCount} Active ${this.getRoute(lineId)?.type === 'bus'
+            ? `Bus${activeCount !== 1 ? 'es' : ''}`
+            : `Train${activeCount !== 1 ? 's' : ''}`}</div>
         </div>
         <div class="track-line-simple">
           ${stations.map(station => `
@@ -756,7 +2382,9 @@ const App = {
               </div>
             </div>
           `).join('')}
+          ${this.renderTrainMarkers(lineId, vehicles)}
         </div>
+        ${this.renderVehicleDetail(lineId, vehicles)}
       </div>
     `;
   },
@@ -765,8 +2393,8 @@ const App = {
    * Render "Your Station" focus area
    */
   renderYourStation(stationData, lineId) {
-    const myStationId = this.config.myStations[lineId];
-    const stationName = this.config.stations[lineId].find(s => s.id === myStationId)?.name || 'Your Station';
+    const myStationId = this.getMyStationId(lineId);
+    const stationName = this.getStations(lineId).find(s => s.id === myStationId)?.name || 'Your Station';
 
     // Defensive: Check if data exists and has the expected structure
     if (!stationData || stationData._isFallback || !stationData.northbound || !stationData.southbound) {
@@ -776,7 +2404,7 @@ const App = {
           <h3 class="section-title">⭐ ${stationName}</h3>
           <div class="no-trains">
             <div class="no-trains-icon">🚉</div>
-            <p class="no-trains-subtitle">No upcoming trains available</p>
+            <p class="no-trains-subtitle">No upcoming ${this.getRoute(lineId)?.type === 'bus' ? 'buses' : 'trains'} available</p>
           </div>
         </div>
       `;
@@ -792,30 +2420,20 @@ const App = {
           <div class="direction-column">
             <div class="direction-header northbound">
               <span class="direction-icon">⬆️</span>
-              <span class="direction-label">Northbound</span>
+              <span class="direction-label">${this.getDirectionLabel(lineId, 'northbound')}</span>
             </div>
             <div class="train-list-compact">
               ${nextNB.length > 0 ? nextNB.map(train => {
                 const minutesAway = Math.max(0, train.minutesAway);
 
-                // Determine status from GTFS data
-                let status = 'Scheduled';
-                if (minutesAway <= 1) {
-                  status = 'Arriving';
-                } else if (minutesAway <= 5) {
-                  status = 'Approaching';
-                }
-
                 return `
-                  <div class="train-item-compact">
+                  <div class="train-item-compact ${this.isTrainStopping(train) ? '' : 'not-stopping'}">
                     <div class="train-info-left">
                       <div class="train-time-compact">
-                        ${new Date(train.time * 1000).toLocaleTimeString('en-US', {
-                          hour: 'numeric',
-                          minute: '2-digit'
-                        })}
+                        ${this.formatTime(train.time * 1000)}
                       </div>
-                      <div class="train-status-label">${status}</div>
+                      ${this.renderStatusBadge(train)}
+                      ${train.headsign ? `<div class="train-headsign">to ${this.escapeHtml(train.headsign)}</div>` : ''}
                     </div>
                     <div class="train-countdown-compact ${
                       minutesAway < 2 ? 'imminent' :
@@ -834,30 +2452,20 @@ const App = {
           <div class="direction-column">
             <div class="direction-header southbound">
               <span class="direction-icon">⬇️</span>
-              <span class="direction-label">Southbound</span>
+              <span class="direction-label">${this.getDirectionLabel(lineId, 'southbound')}</span>
             </div>
             <div class="train-list-compact">
               ${nextSB.length > 0 ? nextSB.map(train => {
                 const minutesAway = Math.max(0, train.minutesAway);
 
-                // Determine status from GTFS data
-                let status = 'Scheduled';
-                if (minutesAway <= 1) {
-                  status = 'Arriving';
-                } else if (minutesAway <= 5) {
-                  status = 'Approaching';
-                }
-
                 return `
-                  <div class="train-item-compact">
+                  <div class="train-item-compact ${this.isTrainStopping(train) ? '' : 'not-stopping'}">
                     <div class="train-info-left">
                       <div class="train-time-compact">
-                        ${new Date(train.time * 1000).toLocaleTimeString('en-US', {
-                          hour: 'numeric',
-                          minute: '2-digit'
-                        })}
+                        ${this.formatTime(train.time * 1000)}
                       </div>
-                      <div class="train-status-label">${status}</div>
+                      ${this.renderStatusBadge(train)}
+                      ${train.headsign ? `<div class="train-headsign">to ${this.escapeHtml(train.headsign)}</div>` : ''}
                     </div>
                     <div class="train-countdown-compact ${
                       minutesAway < 2 ? 'imminent' :
@@ -881,8 +2489,8 @@ const App = {
    * Render all stations quick view
    */
   renderAllStationsQuickView(lineId, lineData) {
-    const stations = this.config.stations[lineId] || [];
-    const myStationId = this.config.myStations[lineId];
+    const stations = this.getStations(lineId);
+    const myStationId = this.getMyStationId(lineId);
 
     return `
       <div class="all-stations-section">
@@ -890,14 +2498,15 @@ const App = {
         <div class="stations-table">
           <div class="stations-table-header">
             <div class="station-name-col">Station</div>
-            <div class="station-next-col">Next NB</div>
-            <div class="station-next-col">Next SB</div>
+            <div class="station-next-col">Next ${this.getDirectionLabel(lineId, 'northbound')}</div>
+            <div class="station-next-col">Next ${this.getDirectionLabel(lineId, 'southbound')}</div>
           </div>
           ${stations.map(station => {
             const data = lineData[station.id];
-            const nextNB = data?.northbound?.[0];
-            const nextSB = data?.southbound?.[0];
+            const nextNB = data?.northbound?.find(train => this.isTrainStopping(train));
+            const nextSB = data?.southbound?.find(train => this.isTrainStopping(train));
             const isMyStation = station.id === myStationId;
+            const stationAlerts = this.getStationAlerts(station);
 
             // Handle negative times
             const nbMinutes = nextNB ? Math.max(0, nextNB.minutesAway) : null;
@@ -907,17 +2516,22 @@ const App = {
               <div class="stations-table-row ${isMyStation ? 'my-station-row' : ''}">
                 <div class="station-name-col">
                   ${isMyStation ? '⭐ ' : ''}${station.name}
+                  ${stationAlerts.length > 0 ? `
+                    <span class="station-alert-marker" title="${this.escapeHtml(stationAlerts.map(alert => alert.header).join('; '))}">⚠️</span>
+                  ` : ''}
                 </div>
                 <div class="station-next-col">
                   ${nextNB ? `
                     <span class="next-train-time">${nbMinutes < 1 ? 'Now' : `${nbMinutes} min`}</span>
-                    <span class="next-train-clock">${new Date(nextNB.time * 1000).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}</span>
+                    <span class="next-train-clock">${this.formatTime(nextNB.time * 1000)}</span>
+                    ${nextNB.status === 'Delayed' ? this.renderStatusBadge(nextNB) : ''}
                   ` : '<span class="no-train">—</span>'}
                 </div>
                 <div class="station-next-col">
                   ${nextSB ? `
                     <span class="next-train-time">${sbMinutes < 1 ? 'Now' : `${sbMinutes} min`}</span>
-                    <span class="next-train-clock">${new Date(nextSB.time * 1000).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}</span>
+                    <span class="next-train-clock">${this.formatTime(nextSB.time * 1000)}</span>
+                    ${nextSB.status === 'Delayed' ? this.renderStatusBadge(nextSB) : ''}
                   ` : '<span class="no-train">—</span>'}
                 </div>
               </div>
@@ -929,24 +2543,150 @@ const App = {
   },
 
   /**
-   * Render drive tab
+   * Render drive tab. The commute that matters now comes first with its
+   * leave-by times; weekends and holidays get a day-off summary instead.
    */
   renderDriveTab() {
-    const { morning, evening } = this.state.driveTime;
+    const forecast = this.state.driveForecast;
+    const commute = this.state.commute;
+    const typical = this.state.driveTypical;
     const weather = this.state.weather;
+    const focus = this.getCommuteFocus();
+    const cards = {
+      morning: ['Morning Commute', '☀️'],
+      evening: ['Evening Commute', '🌙'],
+    };
+    const periods = focus === 'evening' ? ['evening', 'morning'] : ['morning', 'evening'];
 
     return `
       <div class="drive-cards fade-in">
-        ${this.renderDriveCard('Morning Commute', '☀️', morning, weather)}
-        ${this.renderDriveCard('Evening Commute', '🌙', evening, weather)}
+        ${focus === 'off' ? this.renderDayOff() : this.renderLeaveBy(this.getLeaveBy(focus))}
+        ${this.renderWeatherStrip()}
+        ${periods.map(period => this.renderDriveCard(
+          ...cards[period], this.state.driveTime[period], weather?.commute?.[period], forecast[period], commute[period], typical[period]
+        )).join('')}
+      </div>
+    `;
+  },
+
+  /**
+   * Render "leave by" times for driving and park-and-ride
+   */
+  renderLeaveBy(leaveBy) {
+    if (!leaveBy) {
+      return '';
+    }
+
+    const now = Date.now();
+    const { arriveBy, leaveWorkAt, bufferMinutes } = this.config.schedule;
+    const route = this.getRoute(this.config.parkAndRide.lineId);
+    const isMorning = leaveBy.period === 'morning';
+    const from = isMorning ? 'home' : 'work';
+    const day = leaveBy.isToday ? '' : ` · ${this.formatDate(leaveBy.day, { weekday: 'long' })}`;
+    const leaveLabel = leaveAt => leaveAt > now ? `Leave ${from} by ${this.formatTime(leaveAt)}` : `Leave ${from} now`;
+    const lateNote = leaveAt => leaveAt <= now
+      ? `<span class="leave-by-late">${Math.round((now - leaveAt) / 60000)} min behind schedule</span>`
+      : `<span class="leave-by-countdown">in ${Math.round((leaveAt - now) / 60000)} min</span>`;
+
+    return `
+      <div class="card leave-by-card">
+        <div class="card-header">
+          <div class="card-title">⏰ ${isMorning ? 'Morning' : 'Evening'} commute${day}</div>
+          <div class="leave-by-target">
+            ${isMorning
+              ? `At work by ${this.formatTime(this.atClockTime(leaveBy.day, arriveBy))} · ${bufferMinutes} min buffer`
+              : `Leaving work at ${this.formatTime(this.atClockTime(leaveBy.day, leaveWorkAt))}`}
+          </div>
+        </div>
+
+        ${leaveBy.alertBuffer ? `
+          <div class="leave-by-alert">
+            ⚠️ ${this.escapeHtml(leaveBy.alertBuffer.alert.event)}: +${leaveBy.alertBuffer.minutes} min buffer
+          </div>
+        ` : ''}
+
+        <div class="leave-by-options">
+          <div class="leave-by-option">
+            <div class="leave-by-mode">🚗 Drive</div>
+            <div class="leave-by-time">${leaveLabel(leaveBy.drive.leaveAt)}</div>
+            <div class="leave-by-detail">
+              ${leaveBy.isToday ? lateNote(leaveBy.drive.leaveAt) : 'At current traffic'}
+              · ${isMorning ? 'arrive' : 'home'} ${this.formatTime(leaveBy.drive.arriveAt)}
+            </div>
+          </div>
+          <div class="leave-by-option">
+            <div class="leave-by-mode">${this.getRouteIcon(this.config.parkAndRide.lineId)} ${route?.label || 'Train'}</div>
+            ${leaveBy.transit ? `
+              <div class="leave-by-time">${leaveLabel(leaveBy.transit.leaveAt)}</div>
+              <div class="leave-by-detail">
+                ${this.formatTime(leaveBy.transit.departsAt)} train · ${isMorning ? 'arrive' : 'home'} ${this.formatTime(leaveBy.transit.arriveAt)}
+              </div>
+            ` : `
+              <div class="leave-by-detail">${leaveBy.isToday ? 'No train fits the schedule yet' : 'Train times appear on the day'}</div>
+            `}
+          </div>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Render current conditions at each place along the commute, with a
+   * callout when they differ a lot
+   */
+  renderWeatherStrip() {
+    const places = this.state.locationWeather.filter(place => place.weather && !place.weather._isFallback);
+    if (places.length < 2) {
+      return '';
+    }
+
+    const differences = this.getWeatherDifferences();
+
+    return `
+      <div class="card weather-strip">
+        <div class="weather-strip-places">
+          ${places.map(({ labels, weather }) => `
+            <div class="weather-strip-place" title="${weather.description}, feels like ${this.formatTemp(weather.feelsLike)}, wind ${this.formatSpeed(weather.windSpeed)}">
+              <div class="weather-strip-label">${this.escapeHtml(labels.join(' / '))}</div>
+              <img src="https://openweathermap.org/img/wn/${weather.icon}.png" alt="${weather.description}" class="weather-strip-icon">
+              <div class="weather-strip-temp">${this.formatTemp(weather.temp)}</div>
+            </div>
+          `).join('')}
+        </div>
+        ${differences.length > 0 ? `
+          <div class="weather-strip-callout">
+            ${differences.map(difference => `<div>⚠️ ${this.escapeHtml(difference)}</div>`).join('')}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  },
+
+  /**
+   * Render the weekend/holiday summary with the next work day
+   */
+  renderDayOff() {
+    const now = new Date();
+    const isHoliday = this.config.schedule.holidays.includes(this.getDateKey(now));
+    const leaveBy = this.getLeaveBy('morning', now);
+
+    return `
+      <div class="card day-off-card">
+        <div class="card-title">${isHoliday ? '🎉 Holiday' : '🏖️ Weekend'} — no commute today</div>
+        ${leaveBy ? `
+          <div class="day-off-next">
+            Next commute ${this.formatDate(leaveBy.day, { weekday: 'long', month: 'short', day: 'numeric' })}:
+            leave home around ${this.formatTime(leaveBy.drive.leaveAt)} at current traffic
+          </div>
+        ` : ''}
       </div>
     `;
   },
 
   /**
-   * Render individual drive card
+   * Render individual drive card; weather is the forecast for that trip
    */
-  renderDriveCard(title, icon, driveData, weather) {
+  renderDriveCard(title, icon, driveData, weather, forecast, commute, typical) {
     if (!driveData) {
       return `
         <div class="card drive-card">
@@ -955,9 +2695,8 @@ const App = {
       `;
     }
 
-    const trafficContext = weather && !weather._isFallback
-      ? `Light traffic expected; ${weather.description} with temperatures around ${weather.temp}°F`
-      : 'Traffic conditions updating...';
+    const traffic = driveData.traffic;
+    const weatherRange = driveData._isFallback ? null : API.getWeatherAdjustment(driveData.minutes, weather);
 
     return `
       <div class="card drive-card">
@@ -966,9 +2705,32 @@ const App = {
           <div style="font-size: 1.5rem;">🚗</div>
         </div>
 
-        <div class="drive-time">${driveData.minutes} min</div>
+        <div class="drive-time">
+          ${weatherRange && weatherRange.maxMinutes > driveData.minutes
+            ? `${weatherRange.minMinutes}–${weatherRange.maxMinutes}`
+            : driveData.minutes} min
+        </div>
+
+        ${this.renderWeatherAdjustment(driveData, weatherRange)}
+
+        ${this.renderDriveTypical(driveData, typical)}
+
+        ${this.renderCommuteLegs(commute)}
+
+        ${this.renderTollInfo(driveData)}
+
+        <div class="drive-context">
+          ${traffic ? `
+            <span class="traffic-level ${traffic.level}">${traffic.level} traffic</span>
+            ${traffic.delayMinutes > 0 ? `<span class="traffic-delay">+${traffic.delayMinutes} min lost to traffic</span>` : ''}
+            ${traffic.summary ? `<div class="traffic-summary">${this.escapeHtml(traffic.summary)}</div>` : ''}
+          ` : 'Traffic conditions updating...'}
+          ${this.renderCommuteWeather(weather)}
+        </div>
+
+        ${this.renderRouteOptions(driveData.routes)}
 
-        <div class="drive-context">${trafficContext}</div>
+        ${this.renderDriveForecast(forecast)}
 
         ${driveData._isFallback ? `
           <div style="background: var(--warning); color: white; padding: 0.5rem; border-radius: 0.5rem; margin-top: 1rem; font-size: 0.875rem; text-align: center;">
@@ -987,6 +2749,17 @@ const App = {
             <span class="toggle-slider"></span>
           </label>
         </div>
+        <div class="drive-toggle">
+          <div style="display: flex; align-items: center; gap: 0.5rem; font-size: 0.875rem;">
+            💲 Avoid Tolls
+          </div>
+          <label class="toggle">
+            <input type="checkbox"
+                   ${this.state.avoidTolls ? 'checked' : ''}
+                   onchange="appToggleTolls()">
+            <span class="toggle-slider"></span>
+          </label>
+        </div>
 
         <div class="drive-updated">
           Updated ${this.timeAgo(this.state.lastRefresh)}
@@ -996,145 +2769,218 @@ const App = {
   },
 
   /**
-   * Render transit tab
+   * Render the weather factors behind a widened drive estimate
    */
-  renderTransitTab() {
-    const lineId = this.state.selectedLine;
-    const data = this.state.transitData[lineId];
-    const stations = this.config.stations[lineId] || [];
-    const selectedStation = this.state.selectedStation[lineId];
+  renderWeatherAdjustment(driveData, weatherRange) {
+    if (!weatherRange || weatherRange.maxMinutes <= driveData.minutes) {
+      return '';
+    }
 
-    if (this.state.loading.transit || !data) {
-      return `
-        <div class="card">
-          <div class="skeleton" style="height: 400px;"></div>
+    return `
+      <div class="weather-adjustment">
+        <div class="weather-adjustment-note">Maps estimate ${driveData.minutes} min, adjusted for weather</div>
+        <div class="weather-adjustment-factors">
+          ${weatherRange.factors.map(factor => `
+            <span class="weather-factor" title="Up to ${factor.percent}% slower">
+              ${factor.icon} ${this.escapeHtml(factor.label)} +${factor.percent}%
+            </span>
+          `).join('')}
         </div>
-      `;
+      </div>
+    `;
+  },
+
+  /**
+   * Render the forecast slot for a trip's departure time
+   */
+  renderCommuteWeather(slot) {
+    if (!slot) {
+      return '';
     }
 
-    // Get next train
-    const allArrivals = [...data.northbound, ...data.southbound];
-    const nextTrain = allArrivals.length > 0 ? allArrivals[0] : null;
+    const when = new Date(slot.commuteTime);
+    const isToday = when.toDateString() === new Date().toDateString();
+    const label = this.formatTime(when, isToday ? {} : { weekday: 'short' });
+    const details = [
+      this.formatTemp(slot.temp),
+      slot.precipChance > 0 ? `${slot.precipChance}% chance of precipitation` : null,
+      slot.windSpeed >= (API.isMetric() ? 32 : 20) ? `wind ${this.formatSpeed(slot.windSpeed)}` : null,
+    ].filter(Boolean);
 
     return `
-      <div class="card transit-card fade-in">
-        <div class="station-selector">
-          <select onchange="appChangeStation('${lineId}', this.value)">
-            ${stations.map(station => `
-              <option value="${station.id}" ${selectedStation === station.id ? 'selected' : ''}>
-                ${station.name}
-              </option>
-            `).join('')}
-          </select>
-        </div>
+      <div class="commute-weather">
+        <img src="https://openweathermap.org/img/wn/${slot.icon}.png" alt="${slot.description}" class="commute-weather-icon">
+        <span>Forecast for ${label}: ${slot.description}, ${details.join(' · ')}</span>
+      </div>
+    `;
+  },
+
+  /**
+   * Render how the current drive compares with the recorded median,
+   * e.g. "6 min slower than a typical Tuesday at 7:40"
+   */
+  renderDriveTypical(driveData, typical) {
+    if (!typical || driveData._isFallback || typical.sampleCount < this.config.driveHistory.minSamples) {
+      return '';
+    }
 
-        ${this.renderVisualTrack(lineId)}
+    const weekday = this.formatDate(typical.time, { weekday: 'long' });
+    const time = this.formatTime(typical.time);
+    const difference = driveData.minutes - typical.minutes;
+    const comparison = Math.abs(difference) <= 1
+      ? 'about the same as'
+      : `${Math.abs(difference)} min ${difference > 0 ? 'slower' : 'faster'} than`;
+    const className = Math.abs(difference) <= 1 ? 'typical' : (difference > 0 ? 'slower' : 'faster');
 
-        <div class="station-board">
-          <div class="station-board-header">
-            <h3 class="station-board-title">📍 ${data.stopName}</h3>
-            ${nextTrain ? `
-              <div class="next-train-badge">
-                🔔 Next train: ${nextTrain.minutesAway} min
-              </div>
-            ` : ''}
-          </div>
+    return `
+      <div class="drive-typical ${className}"
+           title="Typical ${typical.percentiles.p25}–${typical.percentiles.p75} min from ${typical.sampleCount} recorded drives">
+        ${comparison} a typical ${weekday} at ${time}
+      </div>
+    `;
+  },
 
-          ${allArrivals.length > 0 ? `
-            ${data.northbound.length > 0 ? `
-              <div class="station-section">
-                <div class="section-header arriving">
-                  <span class="section-icon">🚆</span>
-                  <h4 class="section-title">Trains Arriving</h4>
-                  <span class="section-subtitle">Northbound</span>
-                </div>
-                <div class="train-list">
-                  ${data.northbound.map(train => `
-                    <div class="train-item fade-in">
-                      <div class="train-time">${new Date(train.time * 1000).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}</div>
-                      <div class="train-countdown ${train.minutesAway < 5 ? 'imminent' : train.minutesAway < 15 ? 'soon' : ''}">
-                        ${train.minutesAway} min
-                      </div>
-                      <div class="train-status">Arriving</div>
-                    </div>
-                  `).join('')}
-                </div>
-              </div>
-            ` : ''}
-
-            ${data.southbound.length > 0 ? `
-              <div class="station-section">
-                <div class="section-header departing">
-                  <span class="section-icon">🚀</span>
-                  <h4 class="section-title">Trains Departing</h4>
-                  <span class="section-subtitle">Southbound</span>
-                </div>
-                <div class="train-list">
-                  ${data.southbound.map(train => `
-                    <div class="train-item fade-in">
-                      <div class="train-time">${new Date(train.time * 1000).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}</div>
-                      <div class="train-countdown ${train.minutesAway < 5 ? 'imminent' : train.minutesAway < 15 ? 'soon' : ''}">
-                        ${train.minutesAway} min
-                      </div>
-                      <div class="train-status">Departing</div>
-                    </div>
-                  `).join('')}
-                </div>
-              </div>
-            ` : ''}
-          ` : `
-            <div class="no-trains">
-              <div class="no-trains-icon">🚉</div>
-              <p class="no-trains-title">No upcoming trains</p>
-              <p class="no-trains-subtitle">Service may be limited at this time</p>
-            </div>
-          `}
+  /**
+   * Render door-to-door total with a per-leg breakdown
+   */
+  renderCommuteLegs(commute) {
+    if (!commute || commute.legs.length < 2) {
+      return '';
+    }
+
+    const { locations } = this.config;
+    const modeIcons = { DRIVE: '🚗', WALK: '🚶' };
+    const modeVerbs = { DRIVE: 'Drive', WALK: 'Walk' };
+
+    return `
+      <div class="commute-legs">
+        <div class="commute-total">
+          <span>Door to door</span>
+          <span class="commute-total-time">${commute.totalMinutes} min</span>
         </div>
+        ${commute.legs.map(leg => `
+          <div class="commute-leg">
+            <span class="commute-leg-icon">${modeIcons[leg.mode] || '➡️'}</span>
+            <span class="commute-leg-label">${modeVerbs[leg.mode] || leg.mode} to ${locations[leg.to]?.label || leg.to}</span>
+            <span class="commute-leg-time">${leg.minutes} min · ${this.formatDistance(leg.distance)}</span>
+          </div>
+        `).join('')}
       </div>
     `;
   },
 
   /**
-   * Render visual track with live train positions
+   * Render the toll estimate and the time it buys over the toll-free route
    */
-  renderVisualTrack(lineId) {
-    const vehicles = this.state.vehiclePositions.vehicles.filter(v => v.routeId === lineId);
+  renderTollInfo(driveData) {
+    if (!driveData.tolls) {
+      return '';
+    }
 
-    // Station configurations for each line
-    const stationConfigs = {
-      '117N': [
-        { id: '34668', name: 'Union', pos: 3 },
-        { id: '35246', name: '48th', pos: 25 },
-        { id: '35254', name: '112th', pos: 70 },
-        { id: '35365', name: '124th', pos: 97 }
-      ],
-      '113G': [
-        { id: '34781', name: 'Union', pos: 5 },
-        { id: '34544', name: 'Pecos', pos: 35 },
-        { id: '34541', name: 'Olde Town', pos: 70 },
-        { id: '34510', name: 'Ward', pos: 95 }
-      ],
-      '113B': [
-        { id: '34782', name: 'Union', pos: 5 },
-        { id: '34544', name: 'Pecos', pos: 50 },
-        { id: '34560', name: 'Westminster', pos: 95 }
-      ]
-    };
+    const { price, currency } = driveData.tolls;
+    const priceLabel = price !== null
+      ? `Tolls ~${this.formatPrice(price, currency)}`
+      : 'Toll road (price unavailable)';
+    const savedLabel = driveData.tollMinutesSaved !== undefined
+      ? ` · saves ${driveData.tollMinutesSaved} min vs toll-free (${driveData.tollFreeMinutes} min)`
+      : '';
+
+    return `<div class="toll-info">💲 ${priceLabel}${savedLabel}</div>`;
+  },
+
+  /**
+   * Clock time in the display locale and clock format. compact drops the
+   * AM/PM marker where neighbouring labels make it obvious; other options
+   * (e.g. weekday) pass through to Intl.DateTimeFormat.
+   */
+  formatTime(time, { compact = false, ...options } = {}) {
+    const { locale, clock } = this.state.display;
+    const formatter = new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit', hourCycle: clock === '12h' ? 'h12' : 'h23', ...options });
+    if (!compact) {
+      return formatter.format(new Date(time));
+    }
+    return formatter.formatToParts(new Date(time))
+      .filter(part => part.type !== 'dayPeriod')
+      .map(part => part.value)
+      .join('')
+      .trim();
+  },
+
+  formatDate(time, options) {
+    return new Date(time).toLocaleDateString(this.state.display.locale, options);
+  },
+
+  formatTemp(temp) {
+    return `${temp}°${API.isMetric() ? 'C' : 'F'}`;
+  },
+
+  formatSpeed(speed) {
+    return `${speed} ${API.isMetric() ? 'km/h' : 'mph'}`;
+  },
+
+  formatDistance(distance) {
+    return `${distance.toLocaleString(this.state.display.locale)} ${API.isMetric() ? 'km' : 'mi'}`;
+  },
 
-    const stations = stationConfigs[lineId] || [];
+  formatPrice(amount, currency) {
+    return new Intl.NumberFormat(this.state.display.locale, { style: 'currency', currency: currency || 'USD' }).format(amount);
+  },
+
+  /**
+   * Render alternative routes side by side, fastest first
+   */
+  renderRouteOptions(routes) {
+    if (!routes || routes.length < 2) {
+      return '';
+    }
+
+    const fastest = Math.min(...routes.map(route => route.minutes));
 
     return `
-      <div class="visual-track-reference">
-        <div class="track-header">
-          <div class="track-title">🚆 ${lineId} Line</div>
-          <div class="track-count">${vehicles.length} Active</div>
-        </div>
+      <div class="route-options">
+        ${routes.map(route => `
+          <div class="route-option ${route.minutes === fastest ? 'fastest' : ''}">
+            <div class="route-option-name">${this.escapeHtml(route.description || 'Route')}</div>
+            <div class="route-option-time">${route.minutes} min</div>
+            <div class="route-option-delay ${route.delayMinutes > 0 ? 'delayed' : ''}">
+              ${route.delayMinutes > 0 ? `+${route.delayMinutes} min traffic` : 'No delay'}
+            </div>
+            <div class="route-option-distance">
+              ${this.formatDistance(route.distance)}${route.tolls ? ` · 💲${route.tolls.price !== null ? this.formatPrice(route.tolls.price, route.tolls.currency) : ''}` : ''}
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  },
 
-        <div class="track-line-simple">
-          ${stations.map(station => `
-            <div class="track-station-simple" style="left: ${station.pos}%">
-              <div class="station-dot-simple"></div>
-              <div class="station-label-simple">${station.name}</div>
+  /**
+   * Render departure-time forecast chart with the best slot highlighted
+   */
+  renderDriveForecast(forecast) {
+    if (!forecast || forecast._isFallback) {
+      return '';
+    }
+
+    const durations = forecast.samples.map(sample => sample.minutes);
+    const fastest = Math.min(...durations);
+    const range = Math.max(...durations) - fastest || 1;
+
+    return `
+      <div class="drive-forecast">
+        <div class="drive-forecast-header">
+          <span>Best time to leave</span>
+          <span class="drive-forecast-best">${this.formatTime(forecast.best.departureTime)} · ${forecast.best.minutes} min</span>
+        </div>
+        <div class="forecast-chart">
+          ${forecast.samples.map(sample => `
+            <div class="forecast-bar ${sample === forecast.best ? 'best' : ''}"
+                 title="Leave ${this.formatTime(sample.departureTime)}: ${sample.minutes} min">
+              <div class="forecast-bar-track">
+                <span class="forecast-bar-value">${sample.minutes}</span>
+                <div class="forecast-bar-fill" style="height: ${30 + Math.round(70 * (sample.minutes - fastest) / range)}%;"></div>
+              </div>
+              <span class="forecast-bar-label">${this.formatTime(sample.departureTime, { compact: true })}</span>
             </div>
           `).join('')}
         </div>
@@ -1143,33 +2989,90 @@ const App = {
   },
 
   /**
-   * Render direction section
+   * Render drive vs park-and-ride comparison
    */
-  renderDirection(title, arrow, arrivals) {
+  renderCompareTab() {
+    const comparison = this.getCommuteComparison();
+
+    if (!comparison) {
+      return `
+        <div class="container">
+          <div class="card">
+            <div class="skeleton" style="height: 300px;"></div>
+          </div>
+        </div>
+      `;
+    }
+
+    const { lineId, board, alight } = this.config.parkAndRide;
+    const { toStation, toWork } = this.state.parkAndRide;
+    const route = this.getRoute(lineId);
+    const stations = this.getStations(lineId);
+    const boardName = stations.find(station => station.id === board)?.shortName || board;
+    const alightName = stations.find(station => station.id === alight)?.shortName || alight;
+    const { drive, transit, recommendation, savedMinutes, options } = comparison;
+
     return `
-      <div class="direction-section">
-        <h4>${arrow} ${title}</h4>
-        <div class="arrival-list">
-          ${arrivals.length > 0 ? arrivals.map(arrival => `
-            <div class="arrival-item">
-              <div class="arrival-time">
-                ${new Date(arrival.time * 1000).toLocaleTimeString('en-US', {
-                  hour: 'numeric',
-                  minute: '2-digit'
-                })}
-              </div>
-              <div class="arrival-countdown ${
-                arrival.minutesAway < 5 ? 'imminent' :
-                arrival.minutesAway < 15 ? 'soon' : ''
-              }">
-                ${arrival.minutesAway} min
+      <div class="container fade-in">
+        <div class="card compare-card">
+          <div class="card-header">
+            <div class="card-title">⚖️ Drive vs Park & Ride</div>
+          </div>
+
+          <div class="compare-options">
+            <div class="compare-option ${recommendation === 'drive' ? 'recommended' : ''}">
+              <div class="compare-option-title">🚗 Drive downtown</div>
+              <div class="compare-option-total">${drive.totalMinutes} min</div>
+              <div class="compare-option-arrive">Arrive ${this.formatTime(drive.arriveAt)}</div>
+              <div class="compare-option-legs">
+                ${drive.legs.map(leg => `${leg.mode === 'WALK' ? 'Walk' : 'Drive'} ${leg.minutes} min`).join(' · ')}
               </div>
             </div>
-          `).join('') : `
-            <div style="text-align: center; padding: 1rem; color: var(--text-muted); font-size: 0.875rem;">
-              No trains scheduled
+
+            <div class="compare-option ${recommendation === 'transit' ? 'recommended' : ''}">
+              <div class="compare-option-title">${this.getRouteIcon(lineId)} Park & ride</div>
+              ${transit ? `
+                <div class="compare-option-total">${transit.totalMinutes} min</div>
+                <div class="compare-option-arrive">Arrive ${this.formatTime(transit.arriveAt)}</div>
+                <div class="compare-option-legs">
+                  Drive to ${boardName} ${toStation.minutes} min ·
+                  ${route?.label || lineId} ${this.formatTime(transit.next.departsAt)} ·
+                  Walk from ${alightName} ${toWork.minutes} min
+                </div>
+              ` : `
+                <div class="compare-option-total">—</div>
+                <div class="compare-option-arrive">No catchable departures from ${boardName}</div>
+              `}
+            </div>
+          </div>
+
+          <div class="compare-recommendation">
+            ${recommendation === 'transit'
+              ? `✅ Take the ${route?.label || lineId}: ${savedMinutes} min faster right now`
+              : transit
+                ? `✅ Drive: ${savedMinutes} min faster right now`
+                : '✅ Drive: no train you can make right now'}
+          </div>
+
+          ${options.length > 0 ? `
+            <div class="compare-departures">
+              <div class="section-title">Upcoming departures</div>
+              ${options.map(option => `
+                <div class="compare-departure">
+                  <span class="compare-departure-leave">Leave ${this.formatTime(option.leaveAt)}</span>
+                  <span class="compare-departure-train">
+                    ${this.formatTime(option.departsAt)} train ${option.train.status === 'Delayed' ? this.renderStatusBadge(option.train) : ''}
+                  </span>
+                  <span class="compare-departure-arrive">
+                    🚆 ${this.formatTime(option.transitArriveAt)} · 🚗 ${this.formatTime(option.driveArriveAt)}
+                  </span>
+                  <span class="compare-departure-winner ${option.winner}">
+                    ${option.winner === 'transit' ? 'Train' : 'Drive'}
+                  </span>
+                </div>
+              `).join('')}
             </div>
-          `}
+          ` : ''}
         </div>
       </div>
     `;
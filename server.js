@@ -2,6 +2,13 @@ const express = require('express');
 const cors = require('cors');
 const fetch = require('node-fetch');
 const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+const EventEmitter = require('events');
+const AdmZip = require('adm-zip');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { Readable } = require('stream');
 require('dotenv').config();
 
 const app = express();
@@ -10,18 +17,753 @@ const PORT = process.env.PORT || 3000;
 // Middleware
 app.use(cors());
 app.use(express.json());
-app.use(express.static('.')); // Serve static files from current directory
+
+// Serve only the front-end files. The project directory also holds server
+// data (drive history, geocode cache) and agency configs with feed keys.
+const STATIC_FILES = ['index.html', 'app.js', 'api.js', 'styles.css'];
+const serveStatic = express.static('.', { index: 'index.html', dotfiles: 'deny' });
+app.use((req, res, next) => {
+  const file = req.path === '/' ? 'index.html' : req.path.slice(1);
+  return STATIC_FILES.includes(file) ? serveStatic(req, res, next) : next();
+});
 
 // API Keys from environment variables
 const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
 const OPENWEATHER_API_KEY = process.env.OPENWEATHER_API_KEY;
 
+// ============================================
+// Agency Configuration
+// Defaults to RTD Denver. Point AGENCY_CONFIG_FILE at a JSON file (see
+// agency.example.json) to use another agency; individual environment
+// variables override both.
+// ============================================
+
+const GTFS_RT_FEED_NAMES = ['tripUpdates', 'vehiclePositions', 'alerts'];
+
+const DEFAULT_POLL_INTERVALS = {
+  tripUpdates: 30 * 1000, // 30 seconds
+  vehiclePositions: 10 * 1000, // 10 seconds
+  alerts: 60 * 1000, // 1 minute
+};
+
+const FEED_URL_ENV = {
+  tripUpdates: 'GTFS_RT_TRIP_UPDATES_URL',
+  vehiclePositions: 'GTFS_RT_VEHICLE_POSITIONS_URL',
+  alerts: 'GTFS_RT_ALERTS_URL',
+};
+
+const DEFAULT_AGENCY = {
+  name: 'RTD Denver',
+  timezone: 'America/Denver',
+  locale: 'en-US',
+  routes: ['117N', '113G', '113B'],
+  staticGtfsPath: 'gtfs/google_transit.zip',
+  feeds: {
+    tripUpdates: { url: 'https://www.rtd-denver.com/files/gtfs-rt/TripUpdate.pb' },
+    vehiclePositions: { url: 'https://www.rtd-denver.com/files/gtfs-rt/VehiclePosition.pb' },
+    alerts: { url: 'https://www.rtd-denver.com/files/gtfs-rt/Alerts.pb' },
+  },
+  secondaryArrivals: {
+    url: 'https://rtd-n-line-api.onrender.com/api/rtd/arrivals/{stopId}',
+    routes: ['117N'],
+  },
+};
+
+/**
+ * Parse a comma-separated list from an environment variable
+ */
+function parseListEnv(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a JSON object from an environment variable
+ */
+function parseJsonEnv(name) {
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    throw new Error(`${name} must be a JSON object: ${error.message}`);
+  }
+}
+
+/**
+ * Build the agency config: defaults, then the JSON file, then environment
+ * variables. A config file replaces the RTD feeds and secondary source
+ * entirely, so a missing feed there stays disabled. Setting a feed URL
+ * variable to an empty value disables that feed.
+ */
+function loadAgencyConfig() {
+  let agency = DEFAULT_AGENCY;
+
+  if (process.env.AGENCY_CONFIG_FILE) {
+    const file = path.resolve(process.env.AGENCY_CONFIG_FILE);
+    const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+    agency = {
+      ...DEFAULT_AGENCY,
+      ...custom,
+      feeds: custom.feeds || {},
+      secondaryArrivals: custom.secondaryArrivals || null,
+    };
+  }
+
+  const env = process.env;
+  const sharedHeaders = env.GTFS_RT_HEADERS ? parseJsonEnv('GTFS_RT_HEADERS') : {};
+
+  const feeds = {};
+  for (const name of GTFS_RT_FEED_NAMES) {
+    const feed = agency.feeds[name] || {};
+    const url = env[FEED_URL_ENV[name]] ?? feed.url;
+    if (!url) {
+      continue;
+    }
+    feeds[name] = {
+      url,
+      headers: { ...feed.headers, ...sharedHeaders },
+      pollInterval: feed.pollInterval || DEFAULT_POLL_INTERVALS[name],
+    };
+  }
+
+  const secondary = agency.secondaryArrivals || {};
+  const secondaryUrl = env.SECONDARY_ARRIVALS_URL ?? secondary.url;
+
+  const config = {
+    name: env.AGENCY_NAME || agency.name,
+    timezone: env.AGENCY_TIMEZONE || agency.timezone,
+    locale: env.AGENCY_LOCALE || agency.locale,
+    routes: env.AGENCY_ROUTES ? parseListEnv(env.AGENCY_ROUTES) : agency.routes,
+    staticGtfsPath: env.GTFS_STATIC_PATH ?? agency.staticGtfsPath,
+    feeds,
+    secondaryArrivals: secondaryUrl ? {
+      url: secondaryUrl,
+      routes: env.SECONDARY_ARRIVALS_ROUTES ? parseListEnv(env.SECONDARY_ARRIVALS_ROUTES) : (secondary.routes || []),
+    } : null,
+  };
+
+  // Fail at startup rather than on the first formatted timestamp
+  try {
+    new Intl.DateTimeFormat(config.locale, { timeZone: config.timezone });
+  } catch (error) {
+    throw new Error(`Invalid agency timezone or locale (${config.timezone}, ${config.locale}): ${error.message}`);
+  }
+
+  return config;
+}
+
+const AGENCY = loadAgencyConfig();
+
+// ============================================
+// Display Preferences
+// The client sends its units, clock format and locale with every request
+// (X-Units, X-Clock-Format and Accept-Language headers, or units, clock and
+// locale query parameters where headers can't be set, as with EventSource).
+// Anything missing follows the agency locale.
+// ============================================
+
+const UNIT_SYSTEMS = ['imperial', 'metric'];
+const CLOCK_FORMATS = ['12h', '24h'];
+const IMPERIAL_REGIONS = ['US', 'LR', 'MM'];
+const METERS_PER_KILOMETER = 1000;
+const METERS_PER_MILE = 1609.344;
+
+function getSupportedLocale(locale) {
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf([locale])[0] || null;
+  } catch (error) {
+    return null; // Malformed language tag
+  }
+}
+
+function getDisplayPrefs(req) {
+  const requestedLocale = req.query.locale || String(req.headers['accept-language'] || '').split(/[,;]/)[0].trim();
+  const locale = (requestedLocale && getSupportedLocale(requestedLocale)) || AGENCY.locale;
+  const region = new Intl.Locale(locale).maximize().region;
+
+  const units = [req.query.units, req.headers['x-units']].find(value => UNIT_SYSTEMS.includes(value)) ||
+    (IMPERIAL_REGIONS.includes(region) ? 'imperial' : 'metric');
+  const clock = [req.query.clock, req.headers['x-clock-format']].find(value => CLOCK_FORMATS.includes(value)) ||
+    (new Intl.DateTimeFormat(locale, { hour: 'numeric' }).resolvedOptions().hour12 ? '12h' : '24h');
+
+  return { locale, units, clock };
+}
+
+/**
+ * Distance in the display units, with its unit label
+ */
+function formatDistance(meters, units) {
+  const perUnit = units === 'metric' ? METERS_PER_KILOMETER : METERS_PER_MILE;
+  return { value: Math.round(meters / perUnit * 10) / 10, unit: units === 'metric' ? 'km' : 'mi' };
+}
+
+/**
+ * OpenWeather `lang` code for a locale (a few regional variants, else the language)
+ */
+function getWeatherLanguage(locale) {
+  const tag = locale.toLowerCase().replace('-', '_');
+  return ['pt_br', 'zh_cn', 'zh_tw'].includes(tag) ? tag : tag.split('_')[0];
+}
+
+app.use((req, res, next) => {
+  req.display = getDisplayPrefs(req);
+  next();
+});
+
+// ============================================
+// GTFS-RT Feed Cache
+// One background poller per feed decodes the FeedMessage once and indexes it
+// by stop, route and trip ID. Every transit endpoint is served from this cache.
+// ============================================
+
+// Only feeds with a URL are polled; the others report "not configured"
+const GTFS_RT_FEEDS = AGENCY.feeds;
+
+// Emits ('update', name, entry) whenever a feed arrives with a new header timestamp
+const feedEvents = new EventEmitter();
+feedEvents.setMaxListeners(0);
+
+// A hung download would otherwise hold the in-flight request open forever
+const FEED_FETCH_TIMEOUT = 15 * 1000;
+
+const feedCache = {};
+for (const name of GTFS_RT_FEED_NAMES) {
+  feedCache[name] = {
+    feed: null,
+    index: null,
+    fetchedAt: null,
+    lastError: null,
+    pending: null,
+  };
+}
+
+/**
+ * Build stop/route/trip lookups for a decoded FeedMessage.
+ * byStop holds { entity, stopTimeUpdate } pairs for trip updates and
+ * { entity } for vehicles at that stop or alerts informing it.
+ */
+function indexFeed(feed) {
+  const index = {
+    byStop: new Map(),
+    byRoute: new Map(),
+    byTrip: new Map(),
+  };
+
+  const add = (map, key, value) => {
+    if (!key) return;
+    if (!map.has(key)) {
+      map.set(key, []);
+    }
+    map.get(key).push(value);
+  };
+
+  for (const entity of feed.entity) {
+    if (entity.tripUpdate) {
+      const trip = entity.tripUpdate.trip;
+      add(index.byRoute, trip?.routeId, entity);
+      if (trip?.tripId) {
+        index.byTrip.set(trip.tripId, entity);
+      }
+      for (const stopTimeUpdate of entity.tripUpdate.stopTimeUpdate || []) {
+        add(index.byStop, stopTimeUpdate.stopId, { entity, stopTimeUpdate });
+      }
+    }
+
+    if (entity.vehicle) {
+      const trip = entity.vehicle.trip;
+      add(index.byRoute, trip?.routeId, entity);
+      if (trip?.tripId) {
+        index.byTrip.set(trip.tripId, entity);
+      }
+      add(index.byStop, entity.vehicle.stopId, { entity });
+    }
+
+    if (entity.alert) {
+      for (const informed of entity.alert.informedEntity || []) {
+        add(index.byRoute, informed.routeId, entity);
+        add(index.byStop, informed.stopId, { entity });
+      }
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Download and decode a feed into the cache. Concurrent callers share the
+ * in-flight request; on failure the previous FeedMessage is kept.
+ */
+function refreshFeed(name) {
+  const entry = feedCache[name];
+  if (entry.pending) {
+    return entry.pending;
+  }
+
+  entry.pending = (async () => {
+    try {
+      const { url, headers } = GTFS_RT_FEEDS[name];
+      const response = await fetch(url, { headers, timeout: FEED_FETCH_TIMEOUT });
+
+      if (!response.ok) {
+        throw new Error(`GTFS-RT ${name} feed returned ${response.status}`);
+      }
+
+      const buffer = await response.arrayBuffer();
+      const feed = GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(new Uint8Array(buffer));
+      const previousTimestamp = entry.feed ? Number(entry.feed.header.timestamp) : null;
+
+      entry.feed = feed;
+      entry.index = indexFeed(feed);
+      entry.fetchedAt = Date.now();
+      entry.lastError = null;
+
+      if (Number(feed.header.timestamp) !== previousTimestamp) {
+        console.log(`📊 GTFS-RT ${name}: cached ${feed.entity.length} entities`);
+        feedEvents.emit('update', name, entry);
+      }
+    } catch (error) {
+      entry.lastError = error;
+      console.error(`❌ GTFS-RT ${name} poll failed:`, error.message);
+    } finally {
+      entry.pending = null;
+    }
+    return entry;
+  })();
+
+  return entry.pending;
+}
+
+/**
+ * Get the cached feed, waiting for the first download if the poller
+ * hasn't produced one yet.
+ */
+async function getFeed(name) {
+  const entry = feedCache[name];
+  if (!GTFS_RT_FEEDS[name]) {
+    throw new Error(`GTFS-RT ${name} feed is not configured for ${AGENCY.name}`);
+  }
+  if (!entry.feed) {
+    await refreshFeed(name);
+  }
+  if (!entry.feed) {
+    throw entry.lastError || new Error(`GTFS-RT ${name} feed unavailable`);
+  }
+  return entry;
+}
+
+/**
+ * Cache age fields included in every GTFS-RT response
+ */
+function getCacheInfo(entry) {
+  return {
+    cacheFetchedAt: entry.fetchedAt,
+    cacheAgeSeconds: Math.floor((Date.now() - entry.fetchedAt) / 1000),
+  };
+}
+
+function startFeedPollers() {
+  for (const [name, { pollInterval }] of Object.entries(GTFS_RT_FEEDS)) {
+    refreshFeed(name);
+    setInterval(() => refreshFeed(name), pollInterval);
+  }
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  const feeds = {};
+  for (const [name, entry] of Object.entries(feedCache)) {
+    feeds[name] = {
+      configured: !!GTFS_RT_FEEDS[name],
+      cached: !!entry.feed,
+      ageSeconds: entry.fetchedAt ? Math.floor((Date.now() - entry.fetchedAt) / 1000) : null,
+      lastError: entry.lastError ? entry.lastError.message : null,
+    };
+  }
+
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    agency: AGENCY.name,
+    feeds,
+    staticGtfs: staticGtfs ? { stops: staticGtfs.stops.size, trips: staticGtfs.trips.size } : null
+  });
+});
+
+// ============================================
+// Traffic Analysis
+// Classifies a Routes API route from its delay ratio (duration vs the
+// no-traffic staticDuration) and locates slow stretches using
+// travelAdvisory.speedReadingIntervals (requires TRAFFIC_ON_POLYLINE).
+// ============================================
+
+// Upper delay ratio bound for each level; anything above is severe
+const TRAFFIC_LEVELS = [
+  { level: 'light', maxRatio: 0.1 },
+  { level: 'moderate', maxRatio: 0.25 },
+  { level: 'heavy', maxRatio: 0.5 },
+];
+
+/**
+ * Decode a Google encoded polyline into [lat, lng] points
+ */
+function decodePolyline(encoded) {
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < encoded.length) {
+    for (const axis of ['lat', 'lng']) {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = encoded.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20);
+
+      const delta = result & 1 ? ~(result >> 1) : result >> 1;
+      if (axis === 'lat') lat += delta; else lng += delta;
+    }
+    points.push([lat / 1e5, lng / 1e5]);
+  }
+  return points;
+}
+
+function distanceMeters([lat1, lng1], [lat2, lng2]) {
+  const toRad = degrees => degrees * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * The maneuver and first instruction line of a step. Instructions come
+ * back in the request language, so they're passed on whole rather than
+ * parsed for a road name.
+ */
+function getStepInstruction(step) {
+  const navigation = step.navigationInstruction || {};
+  return {
+    maneuver: navigation.maneuver || null,
+    instruction: (navigation.instructions || '').split('\n')[0] || null,
+  };
+}
+
+/**
+ * Slow and jammed stretches along the route, longest first, with the
+ * distance from the start and the step they begin in
+ */
+function getSlowSegments(route) {
+  const intervals = route.travelAdvisory?.speedReadingIntervals || [];
+  const encoded = route.polyline?.encodedPolyline;
+  if (!encoded || intervals.length === 0) {
+    return [];
+  }
+
+  const points = decodePolyline(encoded);
+  const along = [0];
+  for (let i = 1; i < points.length; i++) {
+    along.push(along[i - 1] + distanceMeters(points[i - 1], points[i]));
+  }
+  // Scale polyline distance to the route's reported distance
+  const scale = route.distanceMeters && along[along.length - 1] ? route.distanceMeters / along[along.length - 1] : 1;
+
+  const steps = (route.legs || []).flatMap(leg => leg.steps || []);
+  const stepAt = (meters) => {
+    let covered = 0;
+    for (const step of steps) {
+      covered += step.distanceMeters || 0;
+      if (meters < covered) {
+        return getStepInstruction(step);
+      }
+    }
+    return getStepInstruction(steps[steps.length - 1] || {});
+  };
+
+  return intervals
+    .filter(interval => interval.speed === 'SLOW' || interval.speed === 'TRAFFIC_JAM')
+    .map((interval) => {
+      // Proto3 JSON omits zero indexes
+      const start = along[interval.startPolylinePointIndex ?? 0] * scale;
+      const end = along[Math.min(interval.endPolylinePointIndex ?? 0, along.length - 1)] * scale;
+      return {
+        speed: interval.speed,
+        ...stepAt(start),
+        startMeters: Math.round(start),
+        lengthMeters: Math.round(end - start),
+      };
+    })
+    .filter(segment => segment.lengthMeters > 0)
+    .sort((a, b) => b.lengthMeters - a.lengthMeters);
+}
+
+/**
+ * Congestion summary for one route, or null without a staticDuration.
+ * Distances are in the display units (mi or km).
+ */
+function analyzeTraffic(route, units) {
+  const duration = parseInt(route.duration);
+  const staticDuration = parseInt(route.staticDuration);
+  if (!duration || !staticDuration) {
+    return null;
+  }
+
+  const delayRatio = Math.max(0, duration / staticDuration - 1);
+  const level = TRAFFIC_LEVELS.find(({ maxRatio }) => delayRatio < maxRatio)?.level || 'severe';
+  const slowSegments = getSlowSegments(route).map(({ startMeters, lengthMeters, ...segment }) => ({
+    ...segment,
+    start: formatDistance(startMeters, units).value,
+    length: formatDistance(lengthMeters, units).value,
+  })).filter(segment => segment.length > 0);
+  const unit = formatDistance(0, units).unit;
+
+  const summary = slowSegments.slice(0, 2).map(segment =>
+    `${segment.speed === 'TRAFFIC_JAM' ? 'jammed' : 'slow'} ` +
+    `for ${segment.length} ${unit} from ${unit === 'km' ? 'km' : 'mile'} ${segment.start}` +
+    (segment.instruction ? ` (${segment.instruction})` : '')
+  ).join('; ');
+
+  return {
+    level,
+    delayRatio: Math.round(delayRatio * 100) / 100,
+    delayMinutes: Math.round(Math.max(0, duration - staticDuration) / 60),
+    slowDistance: Math.round(slowSegments.reduce((sum, segment) => sum + segment.length, 0) * 10) / 10,
+    distanceUnit: unit,
+    slowSegments,
+    summary: summary ? summary.charAt(0).toUpperCase() + summary.slice(1) : null,
+  };
+}
+
+// ============================================
+// Drive Time History
+// Commute route results are appended to a JSON-lines file and summarized
+// as percentiles by weekday and time of day (in the agency timezone).
+// ============================================
+
+const DRIVE_HISTORY_FILE = path.resolve(process.env.DRIVE_HISTORY_FILE || 'data/drive-history.jsonl');
+const DRIVE_HISTORY_MAX_DAYS = 365;
+const DRIVE_HISTORY_PERIODS = ['morning', 'evening'];
+const HISTORY_SLOT_MINUTES = 30;
+const HISTORY_WINDOW_MINUTES = 30; // +/- around a requested time
+const HISTORY_PERCENTILES = [10, 25, 50, 75, 90];
+// Every open dashboard refreshes drive times, so one route and set of
+// options is recorded at most this often
+const HISTORY_RECORD_INTERVAL = 15 * 60 * 1000;
+
+const driveHistory = loadDriveHistory();
+const lastRecordedAt = new Map(driveHistory.map(record => [getHistoryKey(record), record.timestamp]));
+
+function loadDriveHistory() {
+  const cutoff = Date.now() - DRIVE_HISTORY_MAX_DAYS * 24 * 60 * 60 * 1000;
+  try {
+    const records = fs.readFileSync(DRIVE_HISTORY_FILE, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null; // Skip a partially written line
+        }
+      })
+      .filter(record => record && record.timestamp >= cutoff);
+    console.log(`📈 Drive history: ${records.length} records from ${DRIVE_HISTORY_FILE}`);
+    return records;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('⚠️  Drive history unreadable, starting empty:', error.message);
+    }
+    return [];
+  }
+}
+
+/**
+ * Weekday (0 = Sunday) and minutes after midnight in the agency timezone
+ */
+function getLocalTimeParts(timestamp) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: AGENCY.timezone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(new Date(timestamp)).map(part => [part.type, part.value]));
+
+  return {
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    minuteOfDay: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Origin/destination key, rounded so small geocode differences match
+ */
+function getRouteKey(origin, destination) {
+  const point = location => [location.latitude, location.longitude].map(value => Number(value).toFixed(3)).join(',');
+  return `${point(origin)}>${point(destination)}`;
+}
+
+/**
+ * Throttle key: period, route and route options
+ */
+function getHistoryKey({ period, routeKey, avoidHighways, avoidTolls }) {
+  return `${period}:${routeKey}:${avoidHighways ? 'h' : ''}${avoidTolls ? 't' : ''}`;
+}
+
+/**
+ * Append a commute result for the given period (from X-Commute-Period),
+ * unless the same route and options were recorded recently
+ */
+function recordDriveHistory(period, body, routes) {
+  const origin = body.origin?.location?.latLng;
+  const destination = body.destination?.location?.latLng;
+  if (!origin || !destination || !routes[0]?.duration) {
+    return;
+  }
+
+  const timestamp = Date.now();
+  const key = getHistoryKey({
+    period,
+    routeKey: getRouteKey(origin, destination),
+    avoidHighways: !!body.routeModifiers?.avoidHighways,
+    avoidTolls: !!body.routeModifiers?.avoidTolls
+  });
+  if (timestamp - (lastRecordedAt.get(key) || 0) < HISTORY_RECORD_INTERVAL) {
+    return;
+  }
+  lastRecordedAt.set(key, timestamp);
+
+  const toMinutes = duration => Math.round(parseInt(duration) / 60);
+  const record = {
+    timestamp,
+    period,
+    routeKey: getRouteKey(origin, destination),
+    ...getLocalTimeParts(timestamp),
+    minutes: toMinutes(routes[0].duration),
+    delayMinutes: routes[0].traffic?.delayMinutes ?? null,
+    avoidHighways: !!body.routeModifiers?.avoidHighways,
+    avoidTolls: !!body.routeModifiers?.avoidTolls,
+    routes: routes.map(route => ({
+      description: route.description || '',
+      minutes: toMinutes(route.duration),
+      delayMinutes: route.traffic?.delayMinutes ?? null,
+      level: route.traffic?.level || null
+    }))
+  };
+
+  driveHistory.push(record);
+  fs.promises.mkdir(path.dirname(DRIVE_HISTORY_FILE), { recursive: true })
+    .then(() => fs.promises.appendFile(DRIVE_HISTORY_FILE, JSON.stringify(record) + '\n'))
+    .catch(error => console.error('❌ Drive history write failed:', error.message));
+}
+
+/**
+ * Nearest-rank percentiles of a list of minutes
+ */
+function getPercentiles(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return Object.fromEntries(HISTORY_PERCENTILES.map(p =>
+    [`p${p}`, sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)]]
+  ));
+}
+
+function parseClockTime(time) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(time || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function formatClockTime(minuteOfDay) {
+  return `${String(Math.floor(minuteOfDay / 60)).padStart(2, '0')}:${String(minuteOfDay % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Drive History Percentiles API
+ * Query: period=morning|evening (required), from=lat,lng&to=lat,lng to
+ * limit to one route, avoidHighways/avoidTolls=true|false to limit to
+ * drives with those options, and optionally a single window around one
+ * time: at=<ms timestamp> (converted to the agency timezone) or
+ * weekday=0-6&time=HH:MM. Without a time, returns every weekday and
+ * 30-minute slot.
+ */
+app.get('/api/drive-history/percentiles', (req, res) => {
+  const { period, from, to } = req.query;
+
+  if (!DRIVE_HISTORY_PERIODS.includes(period)) {
+    return res.status(400).json({ error: `period must be one of ${DRIVE_HISTORY_PERIODS.join(', ')}` });
+  }
+
+  let records = driveHistory.filter(record => record.period === period);
+  if (from && to) {
+    const [fromLat, fromLng] = String(from).split(',');
+    const [toLat, toLng] = String(to).split(',');
+    const routeKey = getRouteKey({ latitude: fromLat, longitude: fromLng }, { latitude: toLat, longitude: toLng });
+    records = records.filter(record => record.routeKey === routeKey);
+  }
+
+  for (const option of ['avoidHighways', 'avoidTolls']) {
+    if (req.query[option] === undefined) continue;
+    if (!['true', 'false'].includes(req.query[option])) {
+      return res.status(400).json({ error: `${option} must be true or false` });
+    }
+    records = records.filter(record => record[option] === (req.query[option] === 'true'));
+  }
+
+  if (req.query.at !== undefined || req.query.weekday !== undefined || req.query.time !== undefined) {
+    let weekday;
+    let minuteOfDay;
+    if (req.query.at !== undefined) {
+      if (!/^\d+$/.test(req.query.at)) {
+        return res.status(400).json({ error: 'at must be a timestamp in milliseconds' });
+      }
+      ({ weekday, minuteOfDay } = getLocalTimeParts(Number(req.query.at)));
+    } else {
+      if (!/^[0-6]$/.test(req.query.weekday || '') || parseClockTime(req.query.time) === null) {
+        return res.status(400).json({ error: 'weekday must be 0-6 and time must be HH:MM' });
+      }
+      weekday = Number(req.query.weekday);
+      minuteOfDay = parseClockTime(req.query.time);
+    }
+
+    const matches = records.filter(record =>
+      record.weekday === weekday && Math.abs(record.minuteOfDay - minuteOfDay) <= HISTORY_WINDOW_MINUTES
+    );
+
+    return res.json({
+      period,
+      weekday,
+      time: formatClockTime(minuteOfDay),
+      windowMinutes: HISTORY_WINDOW_MINUTES,
+      sampleCount: matches.length,
+      percentiles: matches.length > 0 ? getPercentiles(matches.map(record => record.minutes)) : null
+    });
+  }
+
+  const slots = new Map();
+  for (const record of records) {
+    const slot = Math.floor(record.minuteOfDay / HISTORY_SLOT_MINUTES) * HISTORY_SLOT_MINUTES;
+    const key = `${record.weekday}:${slot}`;
+    const bucket = slots.get(key) || { weekday: record.weekday, time: formatClockTime(slot), minutes: [] };
+    bucket.minutes.push(record.minutes);
+    slots.set(key, bucket);
+  }
+
+  res.json({
+    period,
+    timezone: AGENCY.timezone,
+    slotMinutes: HISTORY_SLOT_MINUTES,
+    sampleCount: records.length,
+    slots: [...slots.values()]
+      .sort((a, b) => a.weekday - b.weekday || a.time.localeCompare(b.time))
+      .map(({ minutes, ...slot }) => ({ ...slot, sampleCount: minutes.length, percentiles: getPercentiles(minutes) }))
+  });
 });
 
 // Google Maps Routes API endpoint
+// Each returned route gets its distance in the display units and a traffic
+// summary when staticDuration was requested.
+// Requests tagged with X-Commute-Period: morning|evening are recorded in
+// the drive history.
 app.post('/api/routes', async (req, res) => {
   try {
     const response = await fetch('https://routes.googleapis.com/directions/v2:computeRoutes', {
@@ -40,6 +782,19 @@ app.post('/api/routes', async (req, res) => {
       return res.status(response.status).json({ error: data.error || 'Google Maps API error' });
     }
 
+    if (Array.isArray(data.routes)) {
+      data.routes = data.routes.map(route => ({
+        ...route,
+        distance: formatDistance(route.distanceMeters || 0, req.display.units),
+        traffic: analyzeTraffic(route, req.display.units)
+      }));
+
+      const period = req.headers['x-commute-period'];
+      if (DRIVE_HISTORY_PERIODS.includes(period)) {
+        recordDriveHistory(period, req.body, data.routes);
+      }
+    }
+
     res.json(data);
   } catch (error) {
     console.error('Routes API error:', error);
@@ -47,33 +802,225 @@ app.post('/api/routes', async (req, res) => {
   }
 });
 
-// Google Maps Geocoding API endpoint
+// ============================================
+// Geocode Cache
+// Google geocoding, reverse geocoding and autocomplete responses are kept
+// on disk by normalized query and display locale (Google localizes
+// formatted addresses), so fixed addresses and repeat searches don't spend
+// quota after the first lookup. Expired entries are dropped on save.
+// ============================================
+
+const GEOCODE_CACHE_FILE = path.resolve(process.env.GEOCODE_CACHE_FILE || 'data/geocode-cache.json');
+const GEOCODE_CACHE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+const GEOCODE_CACHE_SAVE_DELAY = 2 * 1000;
+// Every typed prefix is an autocomplete entry, so only the newest are kept
+const GEOCODE_CACHE_MAX_AUTOCOMPLETE = 500;
+
+// Google statuses that are real answers; anything else is retried next time
+const CACHEABLE_GEOCODE_STATUSES = ['OK', 'ZERO_RESULTS'];
+
+const geocodeCache = loadGeocodeCache();
+let geocodeCacheSaveTimer = null;
+
+function loadGeocodeCache() {
+  try {
+    const cache = pruneGeocodeCache(new Map(Object.entries(JSON.parse(fs.readFileSync(GEOCODE_CACHE_FILE, 'utf8')))));
+    console.log(`🗺️  Geocode cache: ${cache.size} entries from ${GEOCODE_CACHE_FILE}`);
+    return cache;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('⚠️  Geocode cache unreadable, starting empty:', error.message);
+    }
+    return new Map();
+  }
+}
+
+/**
+ * Drop expired entries, then the oldest autocomplete entries over the cap
+ */
+function pruneGeocodeCache(cache) {
+  const now = Date.now();
+  for (const [key, entry] of cache) {
+    if (!(now - entry.cachedAt < GEOCODE_CACHE_TTL)) {
+      cache.delete(key);
+    }
+  }
+
+  const autocompleteKeys = [...cache.keys()]
+    .filter(key => key.startsWith('autocomplete:'))
+    .sort((a, b) => cache.get(b).cachedAt - cache.get(a).cachedAt);
+  for (const key of autocompleteKeys.slice(GEOCODE_CACHE_MAX_AUTOCOMPLETE)) {
+    cache.delete(key);
+  }
+  return cache;
+}
+
+/**
+ * Prune and write the cache shortly after the last change (temp file + rename)
+ */
+function scheduleGeocodeCacheSave() {
+  clearTimeout(geocodeCacheSaveTimer);
+  geocodeCacheSaveTimer = setTimeout(async () => {
+    try {
+      pruneGeocodeCache(geocodeCache);
+      const tempFile = `${GEOCODE_CACHE_FILE}.tmp`;
+      await fs.promises.mkdir(path.dirname(GEOCODE_CACHE_FILE), { recursive: true });
+      await fs.promises.writeFile(tempFile, JSON.stringify(Object.fromEntries(geocodeCache)));
+      await fs.promises.rename(tempFile, GEOCODE_CACHE_FILE);
+    } catch (error) {
+      console.error('❌ Geocode cache save failed:', error.message);
+    }
+  }, GEOCODE_CACHE_SAVE_DELAY);
+}
+
+/**
+ * Lowercase, single-spaced address used as the cache key
+ */
+function normalizeAddress(address) {
+  return String(address).trim().toLowerCase().replace(/\s*,\s*/g, ', ').replace(/\s+/g, ' ');
+}
+
+/**
+ * Serve a lookup from the cache, or run it and cache a cacheable answer.
+ * lookup() resolves to { data, cacheable }.
+ */
+async function cachedLookup(key, lookup) {
+  const entry = geocodeCache.get(key);
+  if (entry && Date.now() - entry.cachedAt < GEOCODE_CACHE_TTL) {
+    return { ...entry.data, cached: true };
+  }
+
+  const { data, cacheable } = await lookup();
+  if (cacheable) {
+    geocodeCache.set(key, { data, cachedAt: Date.now() });
+    scheduleGeocodeCacheSave();
+  }
+  return { ...data, cached: false };
+}
+
+/**
+ * Google Geocoding API request (address, place_id or latlng query)
+ */
+async function googleGeocode(query, language) {
+  const response = await fetch(
+    `https://maps.googleapis.com/maps/api/geocode/json?${query}&language=${encodeURIComponent(language)}&key=${GOOGLE_MAPS_API_KEY}`
+  );
+  const data = await response.json();
+
+  if (!response.ok) {
+    const error = new Error('Geocoding API error');
+    error.status = response.status;
+    throw error;
+  }
+
+  return { data, cacheable: CACHEABLE_GEOCODE_STATUSES.includes(data.status) };
+}
+
+// Google Geocoding API endpoint (cached)
+// Query: address=... or placeId=... (from /api/places/autocomplete)
 app.get('/api/geocode', async (req, res) => {
   try {
-    const { address } = req.query;
+    const { address, placeId } = req.query;
 
-    if (!address) {
+    if (!address && !placeId) {
       return res.status(400).json({ error: 'Address parameter is required' });
     }
 
-    const response = await fetch(
-      `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(address)}&key=${GOOGLE_MAPS_API_KEY}`
-    );
+    const { locale } = req.display;
+    const data = placeId
+      ? await cachedLookup(`place:${locale}:${placeId}`, () => googleGeocode(`place_id=${encodeURIComponent(placeId)}`, locale))
+      : await cachedLookup(`address:${locale}:${normalizeAddress(address)}`, () => googleGeocode(`address=${encodeURIComponent(address)}`, locale));
 
-    const data = await response.json();
+    res.json(data);
+  } catch (error) {
+    console.error('Geocoding API error:', error);
+    res.status(error.status || 500).json({ error: 'Failed to geocode address' });
+  }
+});
 
-    if (!response.ok) {
-      return res.status(response.status).json({ error: 'Geocoding API error' });
+// Reverse geocoding (cached by coordinates rounded to ~1 m)
+app.get('/api/geocode/reverse', async (req, res) => {
+  try {
+    const lat = Number(req.query.lat);
+    const lng = Number(req.query.lng);
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      return res.status(400).json({ error: 'Latitude and longitude parameters are required' });
     }
 
+    const latlng = `${lat.toFixed(5)},${lng.toFixed(5)}`;
+    const { locale } = req.display;
+    const data = await cachedLookup(`latlng:${locale}:${latlng}`, () => googleGeocode(`latlng=${latlng}`, locale));
+
     res.json(data);
   } catch (error) {
-    console.error('Geocoding API error:', error);
-    res.status(500).json({ error: 'Failed to geocode address' });
+    console.error('Reverse geocoding API error:', error);
+    res.status(error.status || 500).json({ error: 'Failed to reverse geocode location' });
+  }
+});
+
+const AUTOCOMPLETE_MIN_LENGTH = 3;
+const AUTOCOMPLETE_BIAS_RADIUS = 50 * 1000; // meters
+
+// Address autocomplete via Places API (New), cached per normalized input
+// Query: input=..., optional lat/lng to bias results toward a location
+app.get('/api/places/autocomplete', async (req, res) => {
+  try {
+    const input = String(req.query.input || '').trim();
+    const lat = Number(req.query.lat);
+    const lng = Number(req.query.lng);
+    const hasBias = req.query.lat !== undefined && req.query.lng !== undefined &&
+      Number.isFinite(lat) && Number.isFinite(lng);
+
+    if (input.length < AUTOCOMPLETE_MIN_LENGTH) {
+      return res.json({ suggestions: [], cached: false });
+    }
+
+    const { locale } = req.display;
+    const key = `autocomplete:${locale}:${normalizeAddress(input)}${hasBias ? `@${lat.toFixed(2)},${lng.toFixed(2)}` : ''}`;
+    const data = await cachedLookup(key, async () => {
+      const response = await fetch('https://places.googleapis.com/v1/places:autocomplete', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Goog-Api-Key': GOOGLE_MAPS_API_KEY
+        },
+        body: JSON.stringify({
+          input,
+          languageCode: locale,
+          ...(hasBias && {
+            locationBias: { circle: { center: { latitude: lat, longitude: lng }, radius: AUTOCOMPLETE_BIAS_RADIUS } }
+          })
+        })
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        const error = new Error(result.error?.message || 'Places API error');
+        error.status = response.status;
+        throw error;
+      }
+
+      const suggestions = (result.suggestions || [])
+        .filter(suggestion => suggestion.placePrediction)
+        .map(({ placePrediction }) => ({
+          placeId: placePrediction.placeId,
+          description: placePrediction.text?.text || '',
+          mainText: placePrediction.structuredFormat?.mainText?.text || '',
+          secondaryText: placePrediction.structuredFormat?.secondaryText?.text || ''
+        }));
+
+      return { data: { suggestions }, cacheable: true };
+    });
+
+    res.json(data);
+  } catch (error) {
+    console.error('Places autocomplete error:', error);
+    res.status(error.status || 500).json({ error: 'Failed to autocomplete address' });
   }
 });
 
-// OpenWeather API endpoint
+// OpenWeather API endpoint (units and language follow the display preferences)
 app.get('/api/weather', async (req, res) => {
   try {
     const { lat, lon } = req.query;
@@ -83,7 +1030,8 @@ app.get('/api/weather', async (req, res) => {
     }
 
     const response = await fetch(
-      `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&appid=${OPENWEATHER_API_KEY}&units=imperial`
+      `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&appid=${OPENWEATHER_API_KEY}` +
+      `&units=${req.display.units}&lang=${getWeatherLanguage(req.display.locale)}`
     );
 
     const data = await response.json();
@@ -99,208 +1047,1106 @@ app.get('/api/weather', async (req, res) => {
   }
 });
 
-// RTD N Line API proxy (optional - can call directly from frontend since it's public)
-app.get('/api/rtd/arrivals/:stopId', async (req, res) => {
+// OpenWeather 5-day / 3-hour forecast endpoint
+app.get('/api/weather/forecast', async (req, res) => {
   try {
-    const { stopId } = req.params;
+    const { lat, lon } = req.query;
+
+    if (!lat || !lon) {
+      return res.status(400).json({ error: 'Latitude and longitude parameters are required' });
+    }
+
     const response = await fetch(
-      `https://rtd-n-line-api.onrender.com/api/rtd/arrivals/${stopId}?t=${Date.now()}`,
-      {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        }
-      }
+      `https://api.openweathermap.org/data/2.5/forecast?lat=${lat}&lon=${lon}&appid=${OPENWEATHER_API_KEY}` +
+      `&units=${req.display.units}&lang=${getWeatherLanguage(req.display.locale)}`
     );
 
     const data = await response.json();
 
     if (!response.ok) {
-      return res.status(response.status).json({ error: 'RTD API error' });
+      return res.status(response.status).json({ error: 'Weather forecast API error' });
     }
 
     res.json(data);
   } catch (error) {
-    console.error('RTD API error:', error);
-    res.status(500).json({ error: 'Failed to fetch RTD data' });
+    console.error('Weather forecast API error:', error);
+    res.status(500).json({ error: 'Failed to fetch weather forecast' });
+  }
+});
+
+// ============================================
+// Weather Alerts
+// Active watches, warnings and advisories from the National Weather
+// Service (api.weather.gov, US only). NWS asks every client to send an
+// identifying User-Agent with contact details.
+// ============================================
+
+const NWS_USER_AGENT = process.env.NWS_USER_AGENT || 'commute-dashboard (no contact configured)';
+const WEATHER_ALERTS_TTL = 5 * 60 * 1000; // NWS updates alerts about every minute; be polite
+const WEATHER_ALERT_SEVERITIES = ['Unknown', 'Minor', 'Moderate', 'Severe', 'Extreme'];
+const MAX_ALERT_POINTS = 5;
+
+const weatherAlertsCache = new Map(); // 'lat,lng' -> { alerts, fetchedAt }
+
+async function fetchPointAlerts(point) {
+  const cached = weatherAlertsCache.get(point);
+  if (cached && Date.now() - cached.fetchedAt < WEATHER_ALERTS_TTL) {
+    return cached.alerts;
+  }
+
+  const response = await fetch(`https://api.weather.gov/alerts/active?point=${point}`, {
+    headers: { 'User-Agent': NWS_USER_AGENT, Accept: 'application/geo+json' }
+  });
+  if (!response.ok) {
+    throw new Error(`NWS alerts: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  const alerts = (data.features || []).map(({ properties }) => ({
+    id: properties.id,
+    event: properties.event,
+    severity: WEATHER_ALERT_SEVERITIES.includes(properties.severity) ? properties.severity : 'Unknown',
+    urgency: properties.urgency,
+    certainty: properties.certainty,
+    headline: properties.headline,
+    description: properties.description,
+    instruction: properties.instruction,
+    areas: properties.areaDesc,
+    onset: properties.onset || properties.effective,
+    ends: properties.ends || properties.expires,
+    url: properties['@id']
+  }));
+
+  weatherAlertsCache.set(point, { alerts, fetchedAt: Date.now() });
+  return alerts;
+}
+
+/**
+ * Weather Alerts API
+ * Query: points=lat,lng|lat,lng (up to 5). Alerts covering several points
+ * are listed once with the indexes of every point they cover, most
+ * severe first. A point NWS can't answer for (e.g. outside its coverage)
+ * is left out and listed in failedPoints; the request fails only when
+ * every point does.
+ */
+app.get('/api/weather/alerts', async (req, res) => {
+  try {
+    const points = String(req.query.points || '')
+      .split('|')
+      .filter(Boolean)
+      .map(point => point.split(',').map(Number));
+
+    if (points.length === 0 || points.length > MAX_ALERT_POINTS ||
+        points.some(point => point.length !== 2 || point.some(value => !Number.isFinite(value)))) {
+      return res.status(400).json({ error: `points must be 1-${MAX_ALERT_POINTS} lat,lng pairs separated by |` });
+    }
+
+    // NWS rejects more than 4 decimal places
+    const keys = points.map(([lat, lng]) => `${lat.toFixed(4)},${lng.toFixed(4)}`);
+    const results = await Promise.allSettled(keys.map(fetchPointAlerts));
+
+    const failedPoints = [];
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        failedPoints.push(index);
+        console.error(`Weather alerts for ${keys[index]} failed:`, result.reason.message);
+      }
+    });
+    if (failedPoints.length === results.length) {
+      throw results[0].reason;
+    }
+
+    const alerts = new Map();
+    results.forEach((result, index) => {
+      for (const alert of result.value || []) {
+        const entry = alerts.get(alert.id) || { ...alert, points: [] };
+        entry.points.push(index);
+        alerts.set(alert.id, entry);
+      }
+    });
+
+    res.json({
+      alerts: [...alerts.values()].sort((a, b) =>
+        WEATHER_ALERT_SEVERITIES.indexOf(b.severity) - WEATHER_ALERT_SEVERITIES.indexOf(a.severity)
+      ),
+      failedPoints
+    });
+  } catch (error) {
+    console.error('Weather alerts error:', error);
+    res.status(500).json({ error: 'Failed to fetch weather alerts', details: error.message });
   }
 });
 
-// RTD G Line API - Back to rtd-n-line-api but with better error handling
-app.get('/api/rtd/gline/:stopId', async (req, res) => {
+const { TripDescriptor, TripUpdate } = GtfsRealtimeBindings.transit_realtime;
+const TRIP_RELATIONSHIP = TripDescriptor.ScheduleRelationship;
+const STOP_RELATIONSHIP = TripUpdate.StopTimeUpdate.ScheduleRelationship;
+const ON_TIME_THRESHOLD_SECONDS = 60;
+
+/**
+ * Format a feed timestamp (seconds) for display, in the agency's timezone
+ * with the client's locale and clock format
+ */
+function formatFeedTime(time, display) {
+  return new Date(time * 1000).toLocaleTimeString(display.locale, {
+    timeZone: AGENCY.timezone,
+    hour: 'numeric',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: display.clock === '12h' ? 'h12' : 'h23'
+  });
+}
+
+/**
+ * Add display times to an arrival for the requesting client
+ */
+function localizeArrival(arrival, display) {
+  return {
+    ...arrival,
+    arrivalTimeFormatted: formatFeedTime(arrival.arrivalTime, display),
+    departureTimeFormatted: formatFeedTime(arrival.departureTime, display)
+  };
+}
+
+/**
+ * Add the display time of a vehicle's position report for the requesting client
+ */
+function localizeVehicle(vehicle, display) {
+  return {
+    ...vehicle,
+    timestampFormatted: vehicle.timestamp ? formatFeedTime(vehicle.timestamp, display) : null
+  };
+}
+
+/**
+ * Whether an optional protobuf field was actually present in the feed.
+ * Decoded messages return the default (0) for missing scalars.
+ */
+function hasField(message, field) {
+  return !!message && Object.prototype.hasOwnProperty.call(message, field);
+}
+
+/**
+ * Read the delay (seconds) from a StopTimeEvent. Returns null when the feed
+ * omitted it, so "no data" isn't reported as "on time".
+ */
+function getEventDelay(event) {
+  return hasField(event, 'delay') ? Number(event.delay) : null;
+}
+
+/**
+ * Derive a display status from the trip and stop schedule relationships
+ * and the reported delay
+ */
+function getArrivalStatus(tripRelationship, stopRelationship, delaySeconds) {
+  if (tripRelationship === TRIP_RELATIONSHIP.CANCELED) return 'Cancelled';
+  if (stopRelationship === STOP_RELATIONSHIP.SKIPPED) return 'Skipped';
+  if (tripRelationship === TRIP_RELATIONSHIP.ADDED) return 'Added';
+  if (delaySeconds === null) return 'Scheduled';
+  if (delaySeconds >= ON_TIME_THRESHOLD_SECONDS) return 'Delayed';
+  if (delaySeconds <= -ON_TIME_THRESHOLD_SECONDS) return 'Early';
+  return 'On time';
+}
+
+/**
+ * Parse upcoming arrivals at a stop from the cached TripUpdate index,
+ * sorted by arrival time. Stop time updates without any time (e.g. a
+ * SKIPPED stop the feed gives no prediction for) can't be placed and are
+ * left out. Feeds usually cancel a whole trip without any stop time
+ * updates, so those trips are listed as Cancelled at their timetable time.
+ */
+function getStopArrivals(entry, stopId) {
+  const arrivals = [];
+
+  for (const { entity, stopTimeUpdate } of entry.index.byStop.get(stopId) || []) {
+    const trip = entity.tripUpdate.trip;
+    const arrival = stopTimeUpdate.arrival;
+    const departure = stopTimeUpdate.departure;
+
+    // Use departure time if available (for departures FROM a stop), otherwise arrival time
+    const timeToUse = departure && departure.time ? departure.time : (arrival && arrival.time ? arrival.time : null);
+
+    if (timeToUse) {
+      const timestamp = Number(timeToUse);
+      const tripRelationship = trip.scheduleRelationship || TRIP_RELATIONSHIP.SCHEDULED;
+      const stopRelationship = stopTimeUpdate.scheduleRelationship || STOP_RELATIONSHIP.SCHEDULED;
+      const arrivalDelay = getEventDelay(arrival);
+      const departureDelay = getEventDelay(departure);
+      const delaySeconds = arrivalDelay !== null ? arrivalDelay : departureDelay;
+
+      arrivals.push({
+        route: trip.routeId,
+        routeId: trip.routeId,
+        tripId: trip.tripId,
+        directionId: trip.directionId || 0,
+        // Include both arrival and departure
+        arrivalTime: arrival && arrival.time ? Number(arrival.time) : timestamp,
+        departureTime: departure && departure.time ? Number(departure.time) : timestamp,
+        scheduledArrivalTime: arrival && arrival.time
+          ? Number(arrival.time) - (arrivalDelay ?? 0)
+          : timestamp - (departureDelay ?? 0),
+        status: getArrivalStatus(tripRelationship, stopRelationship, delaySeconds),
+        delaySeconds: delaySeconds,
+        delayMinutes: delaySeconds !== null ? Math.round(delaySeconds / 60) : null,
+        arrivalDelay: arrivalDelay,
+        departureDelay: departureDelay,
+        tripScheduleRelationship: TRIP_RELATIONSHIP[tripRelationship],
+        stopScheduleRelationship: STOP_RELATIONSHIP[stopRelationship],
+        stopId: stopId,
+        isDeparture: !!(departure && departure.time), // Flag to indicate if this has departure time
+        headsign: getTripHeadsign(trip.tripId),
+        prediction: 'live'
+      });
+    }
+  }
+
+  const listedTrips = new Set(arrivals.map(arrival => arrival.tripId));
+  for (const arrival of getScheduledArrivals(stopId, null)) {
+    if (arrival.status === 'Cancelled' && !listedTrips.has(arrival.tripId)) {
+      arrivals.push(arrival);
+    }
+  }
+
+  // Sort by arrival time
+  arrivals.sort((a, b) => a.arrivalTime - b.arrivalTime);
+
+  return arrivals;
+}
+
+// ============================================
+// Static GTFS Schedule
+// The agency's static GTFS zip supplies stop names, trip headsigns and the
+// timetable used when realtime has no predictions for a stop. Only
+// stop_times for the agency's tracked routes (AGENCY_ROUTES) are kept in
+// memory, so a route missing there gets no scheduled fallback.
+// ============================================
+
+let staticGtfs = null;
+const untrackedScheduleRoutes = new Set();
+
+/**
+ * Parse a GTFS CSV file from the zip, calling onRow with an object keyed
+ * by the header. The entry is inflated and parsed a chunk at a time, so a
+ * full stop_times.txt is never held as one string and requests keep being
+ * served while it loads.
+ */
+async function parseCsvEntry(zipEntry, onRow) {
+  const compressed = Readable.from([zipEntry.getCompressedData()]);
+  const input = zipEntry.header.method === 0 ? compressed : compressed.pipe(zlib.createInflateRaw());
+  let columns = null;
+
+  for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+    if (!columns) {
+      columns = splitCsvLine(line.replace(/^\uFEFF/, '').trim());
+      continue;
+    }
+    if (!line) {
+      continue;
+    }
+    const values = splitCsvLine(line);
+    const row = {};
+    columns.forEach((column, i) => { row[column] = values[i] ?? ''; });
+    onRow(row);
+  }
+}
+
+function splitCsvLine(line) {
+  if (!line.includes('"')) {
+    return line.split(',');
+  }
+
+  const values = [];
+  let value = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(value);
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  values.push(value);
+  return values;
+}
+
+/**
+ * GTFS HH:MM:SS (hours may exceed 24) to seconds after the service day start
+ */
+function parseGtfsTime(time) {
+  const [hours, minutes, seconds] = time.split(':').map(Number);
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Load the static GTFS zip. Missing files leave the schedule disabled.
+ */
+async function loadStaticGtfs() {
+  const file = AGENCY.staticGtfsPath && path.resolve(AGENCY.staticGtfsPath);
+  if (!file || !fs.existsSync(file)) {
+    console.warn(`⚠️  Static GTFS not found${file ? ` at ${file}` : ''}; stop names and scheduled departures disabled`);
+    return;
+  }
+
   try {
-    const { stopId } = req.params;
-    console.log(`🔍 Fetching G Line data for stop ${stopId} from GTFS-RT`);
+    const zip = new AdmZip(await fs.promises.readFile(file));
+    const read = async (name, onRow) => {
+      const zipEntry = zip.getEntry(name);
+      if (zipEntry) {
+        await parseCsvEntry(zipEntry, onRow);
+      }
+      return !!zipEntry;
+    };
 
-    // Fetch RTD's GTFS-RT TripUpdate feed
-    const response = await fetch('https://www.rtd-denver.com/files/gtfs-rt/TripUpdate.pb');
+    const stops = new Map();
+    await read('stops.txt', row => stops.set(row.stop_id, row.stop_name));
 
-    if (!response.ok) {
-      throw new Error(`GTFS-RT feed returned ${response.status}`);
+    const trips = new Map();
+    await read('trips.txt', row => trips.set(row.trip_id, {
+      routeId: row.route_id,
+      serviceId: row.service_id,
+      directionId: Number(row.direction_id) || 0,
+      headsign: row.trip_headsign || null
+    }));
+
+    const tracked = new Set(AGENCY.routes);
+    const stopTimesByStop = new Map();
+    await read('stop_times.txt', (row) => {
+      const trip = trips.get(row.trip_id);
+      if (!trip || !tracked.has(trip.routeId) || !(row.arrival_time || row.departure_time)) {
+        return;
+      }
+      const list = stopTimesByStop.get(row.stop_id) || [];
+      list.push({
+        tripId: row.trip_id,
+        arrival: parseGtfsTime(row.arrival_time || row.departure_time),
+        departure: parseGtfsTime(row.departure_time || row.arrival_time),
+        headsign: row.stop_headsign || null,
+        pickup: row.pickup_type !== '1'
+      });
+      stopTimesByStop.set(row.stop_id, list);
+    });
+
+    const calendar = [];
+    await read('calendar.txt', row => calendar.push(row));
+    const calendarDates = [];
+    await read('calendar_dates.txt', row => calendarDates.push(row));
+
+    staticGtfs = { stops, trips, stopTimesByStop, calendar, calendarDates, routes: tracked };
+    console.log(`🗓️  Static GTFS loaded: ${stops.size} stops, ${trips.size} trips, ${stopTimesByStop.size} scheduled stops`);
+  } catch (error) {
+    console.error('❌ Static GTFS load failed:', error.message);
+  }
+}
+
+function getStopName(stopId) {
+  return staticGtfs?.stops.get(stopId) || stopId;
+}
+
+function getTripHeadsign(tripId) {
+  return staticGtfs?.trips.get(tripId)?.headsign || null;
+}
+
+/**
+ * Calendar date (YYYYMMDD, weekday) in the agency timezone, offset by days
+ */
+function getServiceDate(now, dayOffset) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: AGENCY.timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(now).map(part => [part.type, part.value]));
+
+  const date = new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day) + dayOffset, 12));
+  return {
+    date,
+    key: date.toISOString().slice(0, 10).replace(/-/g, ''),
+    weekday: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][date.getUTCDay()]
+  };
+}
+
+/**
+ * Unix seconds of a service day's start ("noon minus 12h" local time)
+ */
+function getServiceDayStart(date) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: AGENCY.timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  const localNoonAsUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute));
+  const offset = localNoonAsUtc - date.getTime();
+  return (date.getTime() - offset) / 1000 - 12 * 3600;
+}
+
+function getActiveServiceIds({ key, weekday }) {
+  const active = new Set(staticGtfs.calendar
+    .filter(row => row[weekday] === '1' && row.start_date <= key && key <= row.end_date)
+    .map(row => row.service_id));
+
+  for (const row of staticGtfs.calendarDates) {
+    if (row.date !== key) continue;
+    if (row.exception_type === '1') active.add(row.service_id);
+    if (row.exception_type === '2') active.delete(row.service_id);
+  }
+  return active;
+}
+
+/**
+ * Trip and stop schedule relationships the realtime feed reports for a
+ * timetable trip, so a trip it cancels or a stop it skips without giving
+ * times isn't shown as running
+ */
+function getRealtimeRelationships(tripId, stopId) {
+  const tripUpdate = feedCache.tripUpdates.index?.byTrip.get(tripId)?.tripUpdate;
+  const stopTimeUpdate = (tripUpdate?.stopTimeUpdate || []).find(update => update.stopId === stopId);
+
+  return {
+    tripRelationship: tripUpdate?.trip?.scheduleRelationship || TRIP_RELATIONSHIP.SCHEDULED,
+    stopRelationship: stopTimeUpdate?.scheduleRelationship || STOP_RELATIONSHIP.SCHEDULED
+  };
+}
+
+/**
+ * Remaining timetable departures today at a stop, in the arrival shape.
+ * Yesterday's service is included for trips running past midnight.
+ * Trips the realtime feed cancels or skips here keep that status.
+ */
+function getScheduledArrivals(stopId, routeId, until = null) {
+  if (staticGtfs && routeId && !staticGtfs.routes.has(routeId) && !untrackedScheduleRoutes.has(routeId)) {
+    untrackedScheduleRoutes.add(routeId);
+    console.warn(`⚠️  No timetable kept for route ${routeId}; add it to AGENCY_ROUTES for scheduled departures`);
+  }
+
+  const stopTimes = staticGtfs?.stopTimesByStop.get(stopId);
+  if (!stopTimes) {
+    return [];
+  }
+
+  const now = new Date();
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+  const arrivals = [];
+
+  for (const dayOffset of [-1, 0]) {
+    const serviceDate = getServiceDate(now, dayOffset);
+    const activeServices = getActiveServiceIds(serviceDate);
+    const dayStart = getServiceDayStart(serviceDate.date);
+
+    for (const stopTime of stopTimes) {
+      const trip = staticGtfs.trips.get(stopTime.tripId);
+      const arrivalTime = dayStart + stopTime.arrival;
+      const departureTime = dayStart + stopTime.departure;
+
+      if (!activeServices.has(trip.serviceId) || (routeId && trip.routeId !== routeId) ||
+          departureTime < nowSeconds || (until && departureTime > until)) {
+        continue;
+      }
+
+      const { tripRelationship, stopRelationship } = getRealtimeRelationships(stopTime.tripId, stopId);
+
+      arrivals.push({
+        route: trip.routeId,
+        routeId: trip.routeId,
+        tripId: stopTime.tripId,
+        directionId: trip.directionId,
+        headsign: stopTime.headsign || trip.headsign,
+        arrivalTime,
+        departureTime,
+        scheduledArrivalTime: arrivalTime,
+        status: getArrivalStatus(tripRelationship, stopRelationship, null),
+        delaySeconds: null,
+        delayMinutes: null,
+        arrivalDelay: null,
+        departureDelay: null,
+        tripScheduleRelationship: TRIP_RELATIONSHIP[tripRelationship],
+        stopScheduleRelationship: STOP_RELATIONSHIP[stopRelationship],
+        stopId: stopId,
+        isDeparture: stopTime.pickup,
+        prediction: 'scheduled'
+      });
     }
+  }
 
-    const buffer = await response.arrayBuffer();
-    const feed = GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(new Uint8Array(buffer));
+  return arrivals.sort((a, b) => a.arrivalTime - b.arrivalTime);
+}
 
-    console.log(`📊 GTFS-RT feed has ${feed.entity.length} entities`);
+/**
+ * Fall back to the timetable when realtime has nothing for this route
+ * (or any route, if routeId is null) at the stop. With until (seconds),
+ * timetable trips up to then that realtime doesn't cover yet are added
+ * too, for planning beyond the prediction horizon.
+ */
+function withScheduledArrivals(arrivals, stopId, routeId, until = null) {
+  // Cancelled trips placed at their timetable time aren't predictions
+  const hasLive = arrivals.some(arrival =>
+    arrival.prediction === 'live' && (!routeId || arrival.routeId === routeId));
+  if (hasLive && !until) {
+    return arrivals;
+  }
 
-    // Parse arrivals for this stop
-    const arrivals = [];
-    const now = Math.floor(Date.now() / 1000);
+  const listedTrips = new Set(arrivals.map(arrival => arrival.tripId));
+  return arrivals
+    .concat(getScheduledArrivals(stopId, routeId, until).filter(arrival => !listedTrips.has(arrival.tripId)))
+    .sort((a, b) => a.arrivalTime - b.arrivalTime);
+}
+
+// ============================================
+// Arrival Providers
+// Every line gets the same normalized arrival shape. Providers are tried in
+// order; a secondary source is used only when the ones before it fail.
+// Stops a provider has no predictions for are filled from the timetable.
+// ============================================
+
+// Treat the realtime feed as failed if the agency stops updating it
+const MAX_FEED_AGE_SECONDS = 10 * 60;
+
+// Optional third-party arrivals API ({stopId} is substituted), from the
+// agency config. Set SECONDARY_ARRIVALS_URL to an empty value to disable it.
+const SECONDARY_ARRIVALS_URL = AGENCY.secondaryArrivals?.url || '';
+const SECONDARY_ARRIVALS_ROUTES = AGENCY.secondaryArrivals?.routes || [];
+const SECONDARY_ARRIVALS_TIMEOUT = 8 * 1000;
+
+/**
+ * Map a secondary-source arrival onto the GTFS-RT arrival shape. It has
+ * no delay or schedule relationship data.
+ */
+function normalizeSecondaryArrival(arrival, stopId) {
+  const arrivalTime = Number(arrival.arrivalTime || arrival.departureTime);
+  const departureTime = Number(arrival.departureTime || arrival.arrivalTime);
+
+  return {
+    route: arrival.routeId,
+    routeId: arrival.routeId,
+    tripId: arrival.tripId,
+    directionId: arrival.directionId || 0,
+    arrivalTime,
+    departureTime,
+    scheduledArrivalTime: arrivalTime,
+    status: 'Scheduled',
+    delaySeconds: null,
+    delayMinutes: null,
+    arrivalDelay: null,
+    departureDelay: null,
+    tripScheduleRelationship: 'SCHEDULED',
+    stopScheduleRelationship: 'SCHEDULED',
+    stopId: stopId,
+    isDeparture: !!arrival.departureTime,
+    headsign: arrival.headsign || getTripHeadsign(arrival.tripId),
+    prediction: 'live'
+  };
+}
 
-    for (const entity of feed.entity) {
-      if (entity.tripUpdate) {
-        const trip = entity.tripUpdate.trip;
-        const stopTimeUpdates = entity.tripUpdate.stopTimeUpdate || [];
-
-        for (const stopUpdate of stopTimeUpdates) {
-          if (stopUpdate.stopId === stopId) {
-            const arrival = stopUpdate.arrival;
-            const departure = stopUpdate.departure;
-
-            // Use departure time if available (for departures FROM a stop), otherwise arrival time
-            const timeToUse = departure && departure.time ? departure.time : (arrival && arrival.time ? arrival.time : null);
-
-            if (timeToUse) {
-              const timestamp = Number(timeToUse);
-              const formatTime = (time) => new Date(time * 1000).toLocaleTimeString('en-US', {
-                timeZone: 'America/Denver',
-                hour: 'numeric',
-                minute: '2-digit',
-                second: '2-digit',
-                hour12: true
-              });
-
-              arrivals.push({
-                route: trip.routeId,
-                routeId: trip.routeId,
-                tripId: trip.tripId,
-                directionId: trip.directionId || 0,
-                // Include both arrival and departure
-                arrivalTime: arrival && arrival.time ? Number(arrival.time) : timestamp,
-                departureTime: departure && departure.time ? Number(departure.time) : timestamp,
-                arrivalTimeFormatted: arrival && arrival.time ? formatTime(Number(arrival.time)) : formatTime(timestamp),
-                departureTimeFormatted: departure && departure.time ? formatTime(Number(departure.time)) : formatTime(timestamp),
-                scheduledArrivalTime: arrival && arrival.time ? arrival.time : timeToUse,
-                status: 'Scheduled',
-                stopId: stopId,
-                isDeparture: !!(departure && departure.time) // Flag to indicate if this has departure time
-              });
-            }
-          }
+/**
+ * Each provider resolves getArrivals(stopIds) to
+ * { arrivalsByStop: Map<stopId, arrival[]>, feedTimestamp, ...cache info }
+ * or throws. routes: null serves every route.
+ */
+const ARRIVAL_PROVIDERS = [
+  {
+    name: 'gtfs-rt',
+    routes: null,
+    enabled: true,
+    async getArrivals(stopIds) {
+      const entry = await getFeed('tripUpdates');
+      const feedTimestamp = Number(entry.feed.header.timestamp);
+      const feedAgeSeconds = Math.floor(Date.now() / 1000) - feedTimestamp;
+
+      if (feedAgeSeconds > MAX_FEED_AGE_SECONDS) {
+        throw new Error(`TripUpdate feed is stale (${Math.floor(feedAgeSeconds / 60)} minutes old)`);
+      }
+
+      return {
+        arrivalsByStop: new Map(stopIds.map(stopId => [stopId, getStopArrivals(entry, stopId)])),
+        feedTimestamp: feedTimestamp * 1000,
+        ...getCacheInfo(entry)
+      };
+    }
+  },
+  {
+    name: 'secondary',
+    routes: SECONDARY_ARRIVALS_ROUTES,
+    enabled: !!SECONDARY_ARRIVALS_URL,
+    async getArrivals(stopIds) {
+      const entries = await Promise.all(stopIds.map(async (stopId) => {
+        const url = SECONDARY_ARRIVALS_URL.replace('{stopId}', encodeURIComponent(stopId));
+        const response = await fetch(`${url}?t=${Date.now()}`, {
+          headers: { 'Accept': 'application/json' },
+          timeout: SECONDARY_ARRIVALS_TIMEOUT
+        });
+
+        if (!response.ok) {
+          throw new Error(`Secondary arrivals API returned ${response.status}`);
         }
+
+        const data = await response.json();
+        const arrivals = (data.arrivals || [])
+          .map(arrival => normalizeSecondaryArrival(arrival, stopId))
+          .sort((a, b) => a.arrivalTime - b.arrivalTime);
+        return [stopId, arrivals];
+      }));
+
+      return {
+        arrivalsByStop: new Map(entries),
+        feedTimestamp: Date.now()
+      };
+    }
+  },
+  {
+    // Last resort: the static timetable, with no realtime adjustments
+    name: 'schedule',
+    routes: null,
+    get enabled() {
+      return !!staticGtfs;
+    },
+    async getArrivals(stopIds) {
+      return {
+        arrivalsByStop: new Map(stopIds.map(stopId => [stopId, []])),
+        feedTimestamp: null
+      };
+    }
+  }
+];
+
+/**
+ * Get arrivals at the given stops for one route, falling back through the
+ * providers that serve it (until: see withScheduledArrivals)
+ */
+async function fetchArrivals(stopIds, routeId, until = null) {
+  const errors = [];
+
+  for (const provider of ARRIVAL_PROVIDERS) {
+    if (!provider.enabled || (provider.routes && !provider.routes.includes(routeId))) {
+      continue;
+    }
+
+    try {
+      const result = await provider.getArrivals(stopIds);
+      if (errors.length > 0) {
+        console.warn(`⚠️ Arrivals for ${routeId} served by ${provider.name} after: ${errors.join('; ')}`);
       }
+
+      // Stops the provider has nothing for get the timetable instead
+      const arrivalsByStop = new Map();
+      for (const [stopId, arrivals] of result.arrivalsByStop) {
+        arrivalsByStop.set(stopId, withScheduledArrivals(arrivals, stopId, routeId, until));
+      }
+      return { ...result, arrivalsByStop, source: provider.name };
+    } catch (error) {
+      errors.push(`${provider.name}: ${error.message}`);
     }
+  }
+
+  throw new Error(`No arrival provider available for ${routeId} (${errors.join('; ') || 'none configured'})`);
+}
+
+/**
+ * RTD Stop Arrivals API - normalized arrivals at one stop
+ * Optional query: routes=113G,120X to keep only those routes' arrivals
+ * (also selects which providers may serve the request)
+ */
+async function handleStopArrivals(req, res) {
+  try {
+    const { stopId } = req.params;
+    const routeIds = req.query.routes ? parseRouteFilter(req.query) : null;
 
-    // Sort by arrival time
+    // One provider chain per requested route; unfiltered requests use the primary feed
+    const lookups = routeIds
+      ? await Promise.all(routeIds.map(routeId => fetchArrivals([stopId], routeId)))
+      : [await fetchArrivals([stopId], null)];
+
+    let arrivals = lookups.flatMap(lookup => lookup.arrivalsByStop.get(stopId) || []);
+    if (routeIds) {
+      arrivals = arrivals.filter(arrival => routeIds.includes(arrival.routeId));
+    }
     arrivals.sort((a, b) => a.arrivalTime - b.arrivalTime);
 
-    const result = {
+    const { feedTimestamp, cacheFetchedAt, cacheAgeSeconds } = lookups[0];
+
+    res.json({
       stopId: stopId,
-      stopName: stopId,
+      stopName: getStopName(stopId),
       timestamp: Date.now(),
-      feedTimestamp: Number(feed.header.timestamp) * 1000,
-      feedAgeMinutes: Math.floor((now - Number(feed.header.timestamp)) / 60),
-      arrivals: arrivals
+      feedTimestamp,
+      feedAgeMinutes: feedTimestamp ? Math.floor((Date.now() - feedTimestamp) / 60000) : null,
+      cacheFetchedAt,
+      cacheAgeSeconds,
+      sources: [...new Set(lookups.map(lookup => lookup.source))],
+      arrivals: arrivals.map(arrival => localizeArrival(arrival, req.display))
+    });
+  } catch (error) {
+    console.error('❌ Stop arrivals error:', error);
+    res.status(500).json({ error: 'Failed to fetch arrivals', details: error.message });
+  }
+}
+
+app.get('/api/rtd/arrivals/:stopId', handleStopArrivals);
+// Legacy path from when only the G and B lines used the GTFS-RT parser
+app.get('/api/rtd/gline/:stopId', handleStopArrivals);
+
+// Direction names used when grouping arrivals (GTFS direction_id 0/1)
+const DIRECTIONS = ['northbound', 'southbound'];
+const MAX_BATCH_STOPS = 100;
+const MAX_BATCH_UNTIL_HOURS = 24;
+
+/**
+ * Validate a batch stop list. Returns an error message, or null if valid.
+ */
+function validateBatchStops(stops) {
+  if (!Array.isArray(stops) || stops.length === 0) {
+    return 'stops must be a non-empty array of { stopId, routeId }';
+  }
+  if (stops.length > MAX_BATCH_STOPS) {
+    return `A batch may contain at most ${MAX_BATCH_STOPS} stops`;
+  }
+  if (stops.some(stop => !stop || typeof stop.stopId !== 'string' || typeof stop.routeId !== 'string')) {
+    return 'Each stop requires a stopId and routeId';
+  }
+  return null;
+}
+
+function getPlatformIds({ stopId, platforms }) {
+  return Array.isArray(platforms) && platforms.length > 0 ? platforms : [stopId];
+}
+
+/**
+ * Build one result per requested stop, in request order, with arrivals
+ * for that route grouped by direction. lookupArrivals(routeId, stopId)
+ * returns the arrivals at a single platform.
+ */
+function buildBatchResults(stops, lookupArrivals) {
+  return stops.map((stop) => {
+    const { stopId, routeId, directions } = stop;
+    const platformIds = getPlatformIds(stop);
+    const allowedDirections = Array.isArray(directions) && directions.length > 0 ? directions : DIRECTIONS;
+
+    const grouped = { northbound: [], southbound: [] };
+    for (const platformId of platformIds) {
+      for (const arrival of lookupArrivals(routeId, platformId)) {
+        const direction = DIRECTIONS[arrival.directionId];
+        if (arrival.routeId === routeId && allowedDirections.includes(direction)) {
+          grouped[direction].push(arrival);
+        }
+      }
+    }
+
+    grouped.northbound.sort((a, b) => a.arrivalTime - b.arrivalTime);
+    grouped.southbound.sort((a, b) => a.arrivalTime - b.arrivalTime);
+
+    return {
+      stopId,
+      stopName: getStopName(stopId),
+      routeId,
+      platforms: platformIds,
+      ...grouped
     };
+  });
+}
 
-    console.log(`✅ Found ${arrivals.length} arrivals at stop ${stopId}`);
-    if (arrivals.length > 0) {
-      console.log(`🚆 Routes at this stop:`, [...new Set(arrivals.map(a => a.routeId))]);
+/**
+ * Batch arrivals via the provider chain, one lookup per route so a failed
+ * primary feed only falls back for routes a secondary source can serve
+ */
+async function fetchBatchResults(stops, display, until = null) {
+  const stopIdsByRoute = new Map();
+  for (const stop of stops) {
+    const ids = stopIdsByRoute.get(stop.routeId) || new Set();
+    getPlatformIds(stop).forEach(id => ids.add(id));
+    stopIdsByRoute.set(stop.routeId, ids);
+  }
+
+  const lookups = new Map();
+  await Promise.all([...stopIdsByRoute].map(async ([routeId, stopIds]) => {
+    try {
+      lookups.set(routeId, await fetchArrivals([...stopIds], routeId, until));
+    } catch (error) {
+      console.error(`❌ Batch arrivals for ${routeId}:`, error.message);
+      lookups.set(routeId, { arrivalsByStop: new Map(), source: null, error: error.message });
     }
+  }));
 
-    res.json(result);
+  const results = buildBatchResults(stops, (routeId, stopId) =>
+    (lookups.get(routeId).arrivalsByStop.get(stopId) || []).map(arrival => localizeArrival(arrival, display))
+  ).map(result => ({
+    ...result,
+    source: lookups.get(result.routeId).source,
+    ...(lookups.get(result.routeId).error && { error: lookups.get(result.routeId).error })
+  }));
+
+  return { results, lookups: [...lookups.values()] };
+}
+
+/**
+ * The lookup whose feed info describes a batch: the primary feed if it
+ * served any route, else the first source that did (null if none did)
+ */
+function getPrimaryLookup(lookups) {
+  const served = lookups.filter(lookup => lookup.source);
+  return served.find(lookup => lookup.source === 'gtfs-rt') || served[0] || null;
+}
+
+/**
+ * RTD Batch Arrivals API - many stops and routes in one request
+ *
+ * Body: { stops: [{ stopId, routeId, platforms?, directions? }], until? }
+ *   platforms  - stop IDs merged under stopId (multi-platform stations)
+ *   directions - which of 'northbound'/'southbound' to keep for the group
+ *   until      - ms timestamp; also include timetable departures up to then
+ *                (at most MAX_BATCH_UNTIL_HOURS ahead)
+ */
+app.post('/api/rtd/arrivals', async (req, res) => {
+  try {
+    const { stops, until } = req.body || {};
+
+    const validationError = validateBatchStops(stops);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (until !== undefined && !(Number.isFinite(until) && until <= Date.now() + MAX_BATCH_UNTIL_HOURS * 60 * 60 * 1000)) {
+      return res.status(400).json({ error: `until must be a timestamp within ${MAX_BATCH_UNTIL_HOURS} hours` });
+    }
+
+    const { results, lookups } = await fetchBatchResults(stops, req.display, until ? Math.floor(until / 1000) : null);
+    const primary = getPrimaryLookup(lookups);
+
+    if (!primary) {
+      return res.status(502).json({
+        error: 'No arrival provider available',
+        details: lookups.map(lookup => lookup.error).join('; ')
+      });
+    }
+
+    res.json({
+      timestamp: Date.now(),
+      feedTimestamp: primary.feedTimestamp,
+      cacheFetchedAt: primary.cacheFetchedAt,
+      cacheAgeSeconds: primary.cacheAgeSeconds,
+      sources: [...new Set(lookups.map(lookup => lookup.source).filter(Boolean))],
+      results
+    });
   } catch (error) {
-    console.error('❌ GTFS-RT error:', error);
-    res.status(500).json({ error: 'Failed to fetch GTFS-RT data', details: error.message });
+    console.error('❌ Batch arrivals error:', error);
+    res.status(500).json({ error: 'Failed to fetch arrivals', details: error.message });
   }
 });
 
-// RTD Vehicle Positions API - Real-time GPS tracking
-app.get('/api/rtd/vehicle-positions', async (req, res) => {
-  try {
-    console.log('🚆 Fetching RTD Vehicle Positions from GTFS-RT');
+const { Alert } = GtfsRealtimeBindings.transit_realtime;
 
-    // Fetch RTD's GTFS-RT VehiclePosition feed
-    const response = await fetch('https://www.rtd-denver.com/files/gtfs-rt/VehiclePosition.pb');
+/**
+ * Pick the translation of a GTFS-RT TranslatedString for a locale: exact
+ * tag, then same language, then untagged, English, or the first one
+ */
+function getTranslation(translatedString, locale = 'en') {
+  const translations = translatedString?.translation || [];
+  const language = locale.split('-')[0].toLowerCase();
+  const tagOf = t => (t.language || '').toLowerCase();
+  const match = translations.find(t => tagOf(t) === locale.toLowerCase()) ||
+    translations.find(t => tagOf(t).split('-')[0] === language) ||
+    translations.find(t => !t.language || t.language.startsWith('en')) ||
+    translations[0];
+  return match ? match.text : '';
+}
 
-    if (!response.ok) {
-      throw new Error(`GTFS-RT Vehicle Positions feed returned ${response.status}`);
-    }
+/**
+ * Normalize a GTFS-RT Alert entity. Periods are in milliseconds; a missing
+ * start or end is open-ended, and an alert without periods is always active.
+ */
+function parseAlert(entity, now, locale) {
+  const alert = entity.alert;
+  const activePeriods = (alert.activePeriod || []).map(period => {
+    const start = Number(period.start || 0);
+    const end = Number(period.end || 0);
+    return {
+      start: start ? start * 1000 : null,
+      end: end ? end * 1000 : null,
+    };
+  });
 
-    const buffer = await response.arrayBuffer();
-    const feed = GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(new Uint8Array(buffer));
+  const isActive = activePeriods.length === 0 || activePeriods.some(period =>
+    (!period.start || period.start <= now) && (!period.end || period.end > now)
+  );
+  const informedEntities = alert.informedEntity || [];
 
-    console.log(`📊 GTFS-RT feed has ${feed.entity.length} vehicle entities`);
+  return {
+    id: entity.id,
+    header: getTranslation(alert.headerText, locale),
+    description: getTranslation(alert.descriptionText, locale),
+    url: getTranslation(alert.url, locale) || null,
+    cause: Alert.Cause[alert.cause || Alert.Cause.UNKNOWN_CAUSE],
+    effect: Alert.Effect[alert.effect || Alert.Effect.UNKNOWN_EFFECT],
+    activePeriods,
+    isActive,
+    routeIds: [...new Set(informedEntities.map(e => e.routeId).filter(Boolean))],
+    stopIds: [...new Set(informedEntities.map(e => e.stopId).filter(Boolean))],
+  };
+}
 
-    // Parse vehicle positions
-    const vehicles = [];
-    const now = Math.floor(Date.now() / 1000);
+// RTD Service Alerts API - track work, bus bridges, station closures
+// Query: routes=117N,113G and/or stops=35254,34781 (an alert matches either)
+app.get('/api/rtd/alerts', async (req, res) => {
+  // Alerts are optional for an agency; without a feed there is nothing to report
+  if (!GTFS_RT_FEEDS.alerts) {
+    return res.json({ timestamp: Date.now(), feedTimestamp: null, alertCount: 0, alerts: [] });
+  }
 
-    for (const entity of feed.entity) {
-      if (entity.vehicle) {
-        const vehicle = entity.vehicle;
-        const trip = vehicle.trip;
-        const position = vehicle.position;
-
-        // Filter for N Line, G Line, and B Line only
-        const routeId = trip?.routeId;
-        if (routeId === '117N' || routeId === '113G' || routeId === '113B') {
-          const timestamp = Number(vehicle.timestamp);
-
-          vehicles.push({
-            id: vehicle.vehicle?.id || entity.id,
-            label: vehicle.vehicle?.label || 'Unknown',
-            routeId: routeId,
-            tripId: trip?.tripId,
-            directionId: trip?.directionId ?? 0,
-            latitude: position?.latitude,
-            longitude: position?.longitude,
-            bearing: position?.bearing,
-            speed: position?.speed,
-            currentStopSequence: vehicle.currentStopSequence,
-            currentStopId: vehicle.stopId,
-            currentStatus: vehicle.currentStatus, // INCOMING_AT, STOPPED_AT, IN_TRANSIT_TO
-            timestamp: timestamp,
-            timestampFormatted: timestamp ? new Date(timestamp * 1000).toLocaleTimeString('en-US', {
-              timeZone: 'America/Denver',
-              hour: 'numeric',
-              minute: '2-digit',
-              second: '2-digit',
-              hour12: true
-            }) : null,
-            congestionLevel: vehicle.congestionLevel,
-            occupancyStatus: vehicle.occupancyStatus,
-            age: timestamp ? now - timestamp : null // Age of position data in seconds
-          });
+  try {
+    const entry = await getFeed('alerts');
+    const feed = entry.feed;
+    const now = Date.now();
+
+    const routeIds = req.query.routes ? String(req.query.routes).split(',').filter(Boolean) : [];
+    const stopIds = req.query.stops ? String(req.query.stops).split(',').filter(Boolean) : [];
+
+    // Collect matching alert entities from the index, or every alert if unfiltered
+    let entities;
+    if (routeIds.length === 0 && stopIds.length === 0) {
+      entities = feed.entity.filter(entity => entity.alert);
+    } else {
+      const matched = new Set();
+      for (const routeId of routeIds) {
+        for (const entity of entry.index.byRoute.get(routeId) || []) {
+          matched.add(entity);
         }
       }
+      for (const stopId of stopIds) {
+        for (const { entity } of entry.index.byStop.get(stopId) || []) {
+          matched.add(entity);
+        }
+      }
+      entities = [...matched];
     }
 
-    // Sort by route and direction
-    vehicles.sort((a, b) => {
-      if (a.routeId !== b.routeId) {
-        return a.routeId.localeCompare(b.routeId);
-      }
-      return (a.directionId || 0) - (b.directionId || 0);
+    // Keep alerts that are active now or start later; drop expired ones
+    const alerts = entities
+      .map(entity => parseAlert(entity, now, req.display.locale))
+      .filter(alert => alert.isActive || alert.activePeriods.some(period => !period.end || period.end > now))
+      .sort((a, b) => Number(b.isActive) - Number(a.isActive));
+
+    res.json({
+      timestamp: now,
+      feedTimestamp: Number(feed.header.timestamp) * 1000,
+      ...getCacheInfo(entry),
+      alertCount: alerts.length,
+      alerts
     });
+  } catch (error) {
+    console.error('❌ GTFS-RT Alerts error:', error);
+    res.status(500).json({ error: 'Failed to fetch service alerts', details: error.message });
+  }
+});
+
+const { VehicleStopStatus } = GtfsRealtimeBindings.transit_realtime.VehiclePosition;
+
+// Routes tracked when a request doesn't pass routes=
+const TRACKED_ROUTES = AGENCY.routes;
+
+/**
+ * Parse a routes=ID,ID query filter, falling back to the tracked routes
+ */
+function parseRouteFilter(query) {
+  const routeIds = query.routes ? String(query.routes).split(',').map(id => id.trim()).filter(Boolean) : [];
+  return routeIds.length > 0 ? routeIds : TRACKED_ROUTES;
+}
+
+/**
+ * Parse vehicle positions for the given routes from the cached feed,
+ * sorted by route and direction
+ */
+function buildVehicles(entry, routeIds) {
+  const vehicles = [];
+  const now = Math.floor(Date.now() / 1000);
+
+  for (const routeId of routeIds) {
+    for (const entity of entry.index.byRoute.get(routeId) || []) {
+      const vehicle = entity.vehicle;
+      const trip = vehicle.trip;
+      const position = vehicle.position;
+
+      const timestamp = Number(vehicle.timestamp);
+
+      vehicles.push({
+        id: vehicle.vehicle?.id || entity.id,
+        label: vehicle.vehicle?.label || 'Unknown',
+        routeId: routeId,
+        tripId: trip?.tripId,
+        directionId: trip?.directionId ?? 0,
+        latitude: position?.latitude,
+        longitude: position?.longitude,
+        bearing: hasField(position, 'bearing') ? position.bearing : null, // Degrees clockwise from north
+        speed: hasField(position, 'speed') ? position.speed : null, // Meters per second
+        currentStopSequence: vehicle.currentStopSequence,
+        currentStopId: vehicle.stopId,
+        currentStopName: vehicle.stopId ? getStopName(vehicle.stopId) : null,
+        headsign: getTripHeadsign(trip?.tripId),
+        currentStatus: vehicle.currentStatus, // INCOMING_AT, STOPPED_AT, IN_TRANSIT_TO
+        currentStatusName: VehicleStopStatus[vehicle.currentStatus ?? VehicleStopStatus.IN_TRANSIT_TO],
+        timestamp: timestamp,
+        congestionLevel: vehicle.congestionLevel,
+        occupancyStatus: vehicle.occupancyStatus,
+        age: timestamp ? now - timestamp : null // Age of position data in seconds
+      });
+    }
+  }
+
+  // Sort by route and direction
+  vehicles.sort((a, b) => {
+    if (a.routeId !== b.routeId) {
+      return a.routeId.localeCompare(b.routeId);
+    }
+    return (a.directionId || 0) - (b.directionId || 0);
+  });
+
+  return vehicles;
+}
+
+/**
+ * Count vehicles per route
+ */
+function getRouteSummary(vehicles, routeIds) {
+  const summary = {};
+  for (const routeId of routeIds) {
+    summary[routeId] = vehicles.filter(v => v.routeId === routeId).length;
+  }
+  return summary;
+}
+
+// RTD Vehicle Positions API - Real-time GPS tracking
+// Query: routes=117N,120X (defaults to the tracked rail lines)
+app.get('/api/rtd/vehicle-positions', async (req, res) => {
+  try {
+    const entry = await getFeed('vehiclePositions');
+    const feed = entry.feed;
+    const now = Math.floor(Date.now() / 1000);
+    const routeIds = parseRouteFilter(req.query);
+
+    const vehicles = buildVehicles(entry, routeIds).map(vehicle => localizeVehicle(vehicle, req.display));
 
     const result = {
       timestamp: Date.now(),
       feedTimestamp: Number(feed.header.timestamp) * 1000,
       feedAgeSeconds: now - Number(feed.header.timestamp),
+      ...getCacheInfo(entry),
       vehicleCount: vehicles.length,
       vehicles: vehicles,
-      routeSummary: {
-        '117N': vehicles.filter(v => v.routeId === '117N').length,
-        '113G': vehicles.filter(v => v.routeId === '113G').length,
-        '113B': vehicles.filter(v => v.routeId === '113B').length
-      }
+      routeSummary: getRouteSummary(vehicles, routeIds)
     };
 
-    console.log(`✅ Found ${vehicles.length} active vehicles:`, result.routeSummary);
-
     res.json(result);
   } catch (error) {
     console.error('❌ GTFS-RT Vehicle Positions error:', error);
@@ -308,6 +2154,158 @@ app.get('/api/rtd/vehicle-positions', async (req, res) => {
   }
 });
 
+const STREAM_HEARTBEAT_INTERVAL = 25 * 1000;
+// Feed updates push arrivals right away; this re-check catches a primary
+// feed that has stopped updating or is failing, so the provider chain
+// (secondary source, timetable) takes over instead of the stream going quiet
+const STREAM_ARRIVALS_CHECK_INTERVAL = 30 * 1000;
+
+/**
+ * RTD Live Stream (Server-Sent Events)
+ *
+ * Query: stops=<JSON batch stop list, as for POST /api/rtd/arrivals>
+ *        routes=117N,113G (vehicle routes, defaults to the tracked lines)
+ *
+ * Pushes only what changed since the last message on this connection:
+ *   event: arrivals - { results, sources } for stops whose arrivals changed,
+ *                     served through the same provider chain as the batch API
+ *   event: vehicles - { updated, removed, routeSummary }
+ * The first message of each kind has reset: true and carries everything.
+ */
+app.get('/api/rtd/stream', (req, res) => {
+  let stops = [];
+  if (req.query.stops) {
+    try {
+      stops = JSON.parse(req.query.stops);
+    } catch (error) {
+      return res.status(400).json({ error: 'stops must be a JSON array' });
+    }
+
+    const validationError = validateBatchStops(stops);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+  }
+  const routeIds = parseRouteFilter(req.query);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Last payload sent per stop / vehicle, for diffing
+  let sentArrivals = null;
+  let sentVehicles = null;
+  let arrivalsPending = null;
+  let closed = false;
+
+  const pushArrivals = () => {
+    // Overlapping triggers share one lookup
+    if (arrivalsPending) {
+      return arrivalsPending;
+    }
+
+    arrivalsPending = (async () => {
+      try {
+        const { results, lookups } = await fetchBatchResults(stops, req.display);
+        if (closed) return;
+
+        const reset = sentArrivals === null;
+        const previous = sentArrivals || new Map();
+        sentArrivals = new Map();
+
+        const changed = results.filter(result => {
+          const key = `${result.routeId}:${result.stopId}`;
+          const json = JSON.stringify(result);
+          sentArrivals.set(key, json);
+          return previous.get(key) !== json;
+        });
+
+        if (reset || changed.length > 0) {
+          const primary = getPrimaryLookup(lookups);
+          send('arrivals', {
+            reset,
+            feedTimestamp: primary ? primary.feedTimestamp : null,
+            cacheFetchedAt: primary ? primary.cacheFetchedAt : null,
+            cacheAgeSeconds: primary ? primary.cacheAgeSeconds : null,
+            sources: [...new Set(lookups.map(lookup => lookup.source).filter(Boolean))],
+            results: changed
+          });
+        }
+      } catch (error) {
+        console.error('❌ Stream arrivals error:', error);
+      } finally {
+        arrivalsPending = null;
+      }
+    })();
+
+    return arrivalsPending;
+  };
+
+  const pushVehicles = (entry) => {
+    const reset = sentVehicles === null;
+    const previous = sentVehicles || new Map();
+    sentVehicles = new Map();
+
+    const vehicles = buildVehicles(entry, routeIds).map(vehicle => localizeVehicle(vehicle, req.display));
+    const updated = vehicles.filter(vehicle => {
+      // age changes every second; compare everything else
+      const { age, ...position } = vehicle;
+      const json = JSON.stringify(position);
+      sentVehicles.set(vehicle.id, json);
+      return previous.get(vehicle.id) !== json;
+    });
+    const removed = [...previous.keys()].filter(id => !sentVehicles.has(id));
+
+    if (reset || updated.length > 0 || removed.length > 0) {
+      send('vehicles', {
+        reset,
+        feedTimestamp: Number(entry.feed.header.timestamp) * 1000,
+        ...getCacheInfo(entry),
+        updated,
+        removed,
+        routeSummary: getRouteSummary(vehicles, routeIds)
+      });
+    }
+  };
+
+  const onFeedUpdate = (name, entry) => {
+    if (name === 'tripUpdates' && stops.length > 0) {
+      pushArrivals();
+    } else if (name === 'vehiclePositions') {
+      pushVehicles(entry);
+    }
+  };
+
+  // Initial snapshot: arrivals through the provider chain, vehicles from
+  // whatever is already cached
+  if (stops.length > 0) {
+    pushArrivals();
+  }
+  if (feedCache.vehiclePositions.feed) {
+    pushVehicles(feedCache.vehiclePositions);
+  }
+
+  feedEvents.on('update', onFeedUpdate);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_INTERVAL);
+  const arrivalsCheck = stops.length > 0 ? setInterval(pushArrivals, STREAM_ARRIVALS_CHECK_INTERVAL) : null;
+
+  req.on('close', () => {
+    closed = true;
+    feedEvents.off('update', onFeedUpdate);
+    clearInterval(heartbeat);
+    clearInterval(arrivalsCheck);
+  });
+});
+
 // Serve index.html for the root route
 app.get('/', (req, res) => {
   res.sendFile(__dirname + '/index.html');
@@ -319,6 +2317,10 @@ app.listen(PORT, () => {
   console.log(`📍 http://localhost:${PORT}`);
   console.log(`✅ Environment: ${process.env.NODE_ENV || 'development'}`);
 
+  // Start background GTFS-RT pollers
+  startFeedPollers();
+  loadStaticGtfs();
+
   // Verify API keys are loaded
   if (!GOOGLE_MAPS_API_KEY) {
     console.warn('⚠️  WARNING: GOOGLE_MAPS_API_KEY not found in environment variables');